@@ -0,0 +1,139 @@
+/**
+ * Compares the cost of constructing instances with share() and of reading
+ * and writing their shared members against another revision of this package.
+ * Run it with `npm run bench -- <revision>`, where the revision is any git
+ * revision, such as the last release. It defaults to HEAD, which compares
+ * uncommitted changes against the last commit. Each copy of the package runs
+ * in a process of its own, since copies with different registry layouts
+ * cannot be loaded together. The numbers depend on the machine, so this
+ * script is not part of the tests.
+ */
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const COUNT = 2000;
+const READS = 1000000;
+const ROUNDS = 5;
+
+/**
+ * Defines a new three-level class hierarchy. share() has never seen the
+ * classes of a new hierarchy, so the first instance of its most derived class
+ * pays for every step share() only takes once per class.
+ * @param {object} lib The module under test.
+ * @returns {Function} The most derived class of the hierarchy.
+ */
+function defineHierarchy(lib) {
+    let { share, accessor } = lib;
+
+    class A {
+        #v = 1;
+        #shared = share(this, A, {
+            a: 1,
+            m: () => this.#v,
+            acc: accessor({ get: () => this.#v, set: v => { this.#v = v; } })
+        });
+    }
+    class B extends A {
+        #shared = share(this, B, { b: 2, list: [], n: () => this.#shared.a });
+    }
+    class C extends B {
+        #shared = share(this, C, { c: 3, m: () => 5 });
+        get shared() { return this.#shared; }
+    }
+
+    return C;
+}
+
+/**
+ * Runs a task several times and keeps the fastest run.
+ * @param {Function} prepare Returns the input of one run, outside the timing.
+ * @param {Function} task Performs one run with the prepared input.
+ * @returns {number} The time of the fastest run in milliseconds.
+ */
+function fastest(prepare, task) {
+    let retval = Infinity;
+
+    for (let round = 0; round < ROUNDS; ++round) {
+        let input = prepare();
+        let start = performance.now();
+        task(input);
+        retval = Math.min(retval, performance.now() - start);
+    }
+
+    return retval;
+}
+
+/**
+ * Measures one copy of the package.
+ * @param {string} path The path of the module to measure.
+ * @returns {Promise<object>} The cost of each operation, in microseconds per
+ * construction or nanoseconds per access.
+ */
+async function measure(path) {
+    let lib = await import(pathToFileURL(path).href);
+    let Cached = defineHierarchy(lib);
+    let shared = new Cached().shared;
+    let sink = 0;
+
+    let construct = fastest(() => new Array(COUNT).fill(Cached), (classes) => {
+        classes.forEach(K => new K());
+    });
+    let firstConstruct = fastest(() => Array.from({ length: COUNT }, () => defineHierarchy(lib)), (classes) => {
+        classes.forEach(K => new K());
+    });
+    let read = fastest(() => shared, (s) => {
+        for (let i = 0; i < READS; ++i) {
+            sink += s.a + s.c;
+        }
+    });
+    let write = fastest(() => shared, (s) => {
+        for (let i = 0; i < READS; ++i) {
+            s.c = i;
+        }
+    });
+
+    return {
+        "construct (µs)": construct * 1000 / COUNT,
+        "first construct of a class (µs)": firstConstruct * 1000 / COUNT,
+        "read (ns)": read * 1e6 / (2 * READS),
+        "write (ns)": write * 1e6 / READS
+    };
+}
+
+/**
+ * Measures a copy of the package in a process of its own.
+ * @param {string} path The path of the module to measure.
+ * @returns {object} The results of measure().
+ */
+function measureApart(path) {
+    let output = execFileSync(process.execPath, [fileURLToPath(import.meta.url), "--measure", path], { encoding: "utf8" });
+    return JSON.parse(output);
+}
+
+if (process.argv[2] == "--measure") {
+    console.log(JSON.stringify(await measure(process.argv[3])));
+}
+else {
+    let revision = process.argv[2] || "HEAD";
+    let root = fileURLToPath(new URL("..", import.meta.url));
+    let dir = mkdtempSync(join(tmpdir(), "cfprotected-bench-"));
+
+    try {
+        let baseline = join(dir, "index.mjs");
+        writeFileSync(baseline, execFileSync("git", ["show", `${revision}:index.mjs`], { cwd: root }));
+
+        let before = measureApart(baseline);
+        let after = measureApart(join(root, "index.mjs"));
+        console.table(Object.fromEntries(Object.keys(after).map(key => [key, {
+            [revision]: +before[key].toFixed(1),
+            "working tree": +after[key].toFixed(1),
+            "ratio": +(after[key] / before[key]).toFixed(2)
+        }])));
+    }
+    finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
@@ -1,7 +1,104 @@
 "use strict"
 
-const memos = new WeakMap();
-const ACCESSOR = Symbol();
+/**
+ * The key under which the registry is stored on the global object. Using a
+ * global symbol lets every copy of this module find the same registry.
+ */
+const REGISTRY = Symbol.for("cfprotected.registry");
+
+/**
+ * The layout version of the registry and of the records it holds. Bump this
+ * only when the layout of the records, or the meaning of an existing entry,
+ * changes in a way other copies of this module cannot handle. New features
+ * add new entries instead, since registered() creates whatever entries an
+ * older copy did not, and an older copy ignores entries it does not know.
+ * An existing entry whose contents have to change is replaced with a new
+ * entry under a new name.
+ *
+ * Version 2 keeps the record of each layer and accessor object in a
+ * RecordStamp instead of in the layer and accessor maps of version 1.
+ */
+const REGISTRY_VERSION = 2;
+
+/**
+ * Retrieves the process-wide registry shared by every copy of this module,
+ * whether it was loaded with require() or import, and no matter how many
+ * copies are installed. The first copy to load creates the registry. Every
+ * other copy verifies that it understands the layout of that registry.
+ * @returns {{version: number, entries: object}} The registry.
+ */
+function getRegistry() {
+    if (!Object.hasOwn(globalThis, REGISTRY)) {
+        Object.defineProperty(globalThis, REGISTRY, {
+            value: Object.freeze({
+                version: REGISTRY_VERSION,
+                entries: Object.create(null)
+            })
+        });
+    }
+
+    let retval = globalThis[REGISTRY];
+    if (retval.version !== REGISTRY_VERSION) {
+        throw new Error(`The cfprotected registry has version ${retval.version}, but this copy of cfprotected requires version ${REGISTRY_VERSION}`);
+    }
+
+    return retval;
+}
+
+/**
+ * Retrieves a named entry of the registry, creating it if no copy of this
+ * module has done so yet.
+ * @param {string} name The name of the entry.
+ * @param {Function} create Produces the initial value of the entry.
+ * @returns {*} The value of the entry.
+ */
+function registered(name, create) {
+    let entries = getRegistry().entries;
+    if (!(name in entries)) {
+        entries[name] = create();
+    }
+    return entries[name];
+}
+
+const memos = registered("memos", () => new WeakMap());
+const friends = registered("friends", () => new WeakMap());
+const wrappers = registered("wrappers", () => new WeakMap());
+const abstractMembers = registered("abstractMembers", () => new WeakMap());
+const completions = registered("completions", () => new WeakMap());
+const traits = registered("traits", () => new WeakMap());
+const seals = registered("sealPermits", () => new WeakMap());
+const membranes = registered("membranes", () => new WeakMap());
+const hooked = registered("hooked", () => new WeakSet());
+const singletons = registered("singletons", () => new WeakMap());
+const interfaces = registered("interfaces", () => new WeakMap());
+const watchers = registered("watchers", () => new WeakMap());
+const batching = registered("batching", () => ({ depth: 0, pending: new Map() }));
+const snapshots = registered("snapshotData", () => new WeakMap());
+const autoLocked = registered("autoLocked", () => new WeakSet());
+const pendingLocks = registered("pendingLocks", () => new WeakSet());
+const qualified = registered("qualified", () => new WeakMap());
+const SELF = registered("SELF", () => Symbol("self"));
+const layouts = registered("layouts", () => new WeakMap());
+const lifecycles = registered("lifecycles", () => new WeakSet());
+const debugging = registered("debugging", () => ({
+    enabled: !["", "0", "false"].includes(String(globalThis.process?.env?.CFPROTECTED_DEBUG || "")),
+    logger: null
+}));
+const ACCESSOR = registered("ACCESSOR", () => Symbol("accessor"));
+const READONLY = registered("READONLY", () => Symbol("readonly"));
+const PROTECTED_READ = registered("PROTECTED_READ", () => Symbol("protectedRead"));
+const OVERRIDE = registered("OVERRIDE", () => Symbol("override"));
+const SEALED = registered("SEALED", () => Symbol("sealedMember"));
+const POST_CONSTRUCT = registered("POST_CONSTRUCT", () => Symbol("postConstruct"));
+const LAZY = registered("LAZY", () => Symbol("lazy"));
+const CLONE = registered("CLONE", () => Symbol("cloneWith"));
+const MARKERS = [READONLY, PROTECTED_READ, OVERRIDE, SEALED, POST_CONSTRUCT, LAZY, CLONE];
+
+/**
+ * The key under which decorators find the metadata object of a class. Tools
+ * that predate Symbol.metadata use the global symbol of the same name.
+ */
+const METADATA = Symbol.metadata || Symbol.for("Symbol.metadata");
 
 /**
  * General definition of a class constructor function.
@@ -21,6 +118,251 @@ function getAllOwnKeys(o) {
     return retval.concat(Object.getOwnPropertySymbols(o));
 }
 
+/**
+ * Follows the chain of class wrappers created by abstract() and final() back
+ * to the class that was originally wrapped.
+ * @param {Function} klass The constructor function to unwrap.
+ * @returns {Function} The innermost wrapped constructor function.
+ */
+function unwrap(klass) {
+    while (wrappers.has(klass)) {
+        klass = wrappers.get(klass);
+    }
+    return klass;
+}
+
+/**
+ * Registers a class wrapper so that it shares the protected member records
+ * of the class it wraps.
+ * @param {Function} klass The constructor function being wrapped.
+ * @param {Function} wrapper The constructor function wrapping klass.
+ */
+function linkWrapper(klass, wrapper) {
+    wrappers.set(wrapper, klass);
+
+    if (memos.has(klass)) {
+        let memo = memos.get(klass);
+        memos.set(wrapper, memo);
+        memo.set(wrapper, memo.get(klass));
+    }
+}
+
+/**
+ * Determines whether the given value is a marker object created by one of the
+ * marking functions such as accessor() or readonly().
+ * @param {*} value The value to test.
+ * @param {symbol} tag The symbol identifying the kind of marker.
+ * @returns {boolean}
+ */
+function isMarked(value, tag) {
+    return !!value && (typeof(value) == "object") && Object.hasOwn(value, tag);
+}
+
+/**
+ * Finds the shared member record of the class whose definition of the given
+ * key is currently visible through the protected data object.
+ * @param {object} protData The protected data object of an instance or class.
+ * @param {string|symbol} key The name of the shared member.
+ * @returns {object|null} The memo record owning the key, or null.
+ */
+function findOwner(protData, key) {
+    let layer = Object.getPrototypeOf(protData);
+    while (layer && !Object.hasOwn(layer, key)) {
+        layer = Object.getPrototypeOf(layer);
+    }
+    return Stamp.of(layer);
+}
+
+/**
+ * Finds the same memo record as findOwner(), using the layout of the most
+ * derived record of the protected data object instead of searching its
+ * layers. This keeps writes through the accessor objects cheap.
+ * @param {object} record A memo record sharing the protected data object.
+ * @param {string|symbol} key The name of the shared member.
+ * @returns {object|null} The memo record owning the key, or null.
+ */
+function ownerOf(record, key) {
+    let retval = record.chain.top;
+    let slot = retval.layout.slots[key];
+
+    if (!slot) {
+        retval = null;
+    }
+    for (let i = 0; retval && (i < slot.depth); ++i) {
+        retval = retval.parent;
+    }
+
+    return retval;
+}
+
+/**
+ * Determines whether any record in the ancestry starting at the given record
+ * declares the given shared member.
+ * @param {object|null} record The memo record of the nearest registered
+ * ancestor.
+ * @param {string|symbol} key The name of the shared member.
+ * @returns {boolean}
+ */
+function hasAncestorMember(record, key) {
+    while (record && !Object.hasOwn(record.layer, key)) {
+        record = record.parent;
+    }
+    return !!record;
+}
+
+/**
+ * Finds the record of another trait from the same mixin() composition that
+ * already declares the given shared member.
+ * @param {object|null} record The memo record of the nearest registered
+ * ancestor.
+ * @param {object} composition The composition the trait belongs to.
+ * @param {string|symbol} key The name of the shared member.
+ * @returns {object|null} The conflicting record, or null if there is none.
+ */
+function findTraitRival(record, composition, key) {
+    let retval = null;
+
+    while (!retval && record && (traits.get(record.klass)?.composition === composition)) {
+        if (Object.hasOwn(record.layer, key)) {
+            retval = record;
+        }
+        record = record.parent;
+    }
+
+    return retval;
+}
+
+/**
+ * Queues a function to be called once the most derived class of the instance
+ * has registered its shared members.
+ * @param {object} inst The instance under construction.
+ * @param {Function} fn The function to call.
+ */
+function whenConstructed(inst, fn) {
+    if (!completions.has(inst)) {
+        completions.set(inst, []);
+    }
+    completions.get(inst).push(fn);
+}
+
+/**
+ * Calls all functions queued for the instance by whenConstructed().
+ * @param {object} inst The instance whose construction has completed.
+ */
+function completeConstruction(inst) {
+    let queue = completions.get(inst) || [];
+    completions.delete(inst);
+    queue.forEach(fn => fn());
+
+    //Locking comes last so that post-construction hooks can still write.
+    if (pendingLocks.has(inst)) {
+        pendingLocks.delete(inst);
+        lockRecords(findRecord(inst));
+    }
+}
+
+/**
+ * Calls every shared member marked with postConstruct() for the instance, in
+ * order from the most distant ancestor to the most derived class. Each hook
+ * receives the accessor object of the class that declared it.
+ * @param {object} inst The instance whose construction has completed.
+ */
+function runPostConstruct(inst) {
+    let records = [];
+    for (let record = findRecord(inst); record; record = record.parent) {
+        records.unshift(record);
+    }
+
+    for (let record of records) {
+        for (let key of record.hooks) {
+            let hook = Object.getOwnPropertyDescriptor(record.layer, key).value;
+            hook(record.inheritance);
+        }
+    }
+}
+
+/**
+ * Throws if any of the given abstract members has not been overridden.
+ * @param {string} name The name of the class that was instantiated.
+ * @param {Set<string>} missing The names given to abstract() for the members
+ * that were not overridden.
+ */
+function reportAbstract(name, missing) {
+    if (missing.size) {
+        throw new TypeError(`Class ${name} cannot be constructed without overriding abstract members: ${[...missing].join(", ")}`);
+    }
+}
+
+/**
+ * Throws if any abstract prototype method reachable from the given prototype
+ * has not been overridden by a descendant class. Since prototypes are
+ * complete before construction starts, this can be checked right away.
+ * @param {object} proto The prototype of the class being instantiated.
+ * @param {string} name The name of the class being instantiated.
+ */
+function verifyAbstractMethods(proto, name) {
+    let missing = new Set();
+    let seen = new Set();
+
+    while (proto && (proto !== Object.prototype)) {
+        for (let key of getAllOwnKeys(proto)) {
+            let value = Object.getOwnPropertyDescriptor(proto, key).value;
+            if (!seen.has(key) && abstractMembers.has(value)) {
+                missing.add(abstractMembers.get(value));
+            }
+            seen.add(key);
+        }
+        proto = Object.getPrototypeOf(proto);
+    }
+
+    reportAbstract(name, missing);
+}
+
+/**
+ * Collects the abstract shared members of the instance that have not been
+ * shadowed by a descendant class so far.
+ * @param {object} inst The instance to inspect.
+ * @returns {Set<string>} The names given to abstract() for those members.
+ */
+function findAbstract(inst) {
+    let retval = new Set();
+
+    for (let record = findRecord(inst); record; record = record.parent) {
+        for (let [key, label] of record.abstract) {
+            if (findOwner(record.data, key) === record) {
+                retval.add(label);
+            }
+        }
+    }
+
+    return retval;
+}
+
+/**
+ * Throws if any abstract shared member of the instance has not been shadowed
+ * by a descendant class.
+ * @param {object} inst The instance to verify.
+ * @param {string} name The name of the class that was instantiated.
+ */
+function verifyAbstract(inst, name) {
+    reportAbstract(name, findAbstract(inst));
+}
+
+/**
+ * Finds the lifecycle() wrapper whose constructor returns last when the given
+ * class is instantiated.
+ * @param {Constructor} klass The class being instantiated.
+ * @returns {Constructor|undefined} The wrapper, if the class has one.
+ */
+function findCompleter(klass) {
+    let retval = klass;
+    while (retval && !lifecycles.has(retval)) {
+        retval = wrappers.get(retval);
+    }
+
+    return retval;
+}
+
 /**
  * @typedef Descriptor
  * @property {*} [value]
@@ -60,191 +402,1982 @@ function bindDescriptor(desc, context) {
 }
 
 /**
- * Used to both store inherited property information as well as retrieve it.
- * @overload { (inst, klass, members) => object }
- * @overload { (inst, members) => object }
- * @param {object} inst The instance object that will own the shared members.
- * @param {Constructor|object} klass The constructor function of the class sharing
- * members. Optional. If omitted, defaults to inst.
- * @param {object=} members The object containing the properties being shared.
- * @returns {object} The fully constructed inheritance object.
+ * Finds the memo record of the class an accessor object returned by share()
+ * belongs to.
+ * @param {*} shared The accessor object, or an object inheriting from it.
+ * @param {boolean} [owned] If true, accessor objects handed to other classes,
+ * such as those protectedOf() returns to friends, are not accepted. Only the
+ * class an accessor object belongs to can use it to prove its identity.
+ * @returns {object|null} The memo record, or null if there is none.
  */
-function share(inst, klass, members) {
-    let retval = {};
+function findAccessorRecord(shared, owned = false) {
+    let stamped = null;
+    let isObject = !!shared && (typeof(shared) == "object");
 
-    if ((typeof(inst) == "function") 
-        && klass && (typeof(klass) == "object")
-        && (members === void 0)) {
-        members = klass;
-        klass = inst;
+    for (let obj = isObject ? shared : null; obj && !stamped; obj = Object.getPrototypeOf(obj)) {
+        stamped = Stamp.of(obj) ? obj : null;
     }
 
-    if (!inst || !["function", "object"].includes(typeof(inst))) {
-        throw new TypeError(`Expected inst to be a function or an object.`);
+    return (stamped && !(owned && Stamp.isBorrowed(stamped)))
+        ? Stamp.of(stamped)
+        : null;
+}
+
+/**
+ * Reports an event of the debug mode to the logger given to configure(), or
+ * to the console if there is none.
+ * @param {string} type The kind of event.
+ * @param {string} message A description of the event.
+ * @param {object} details The properties describing the event.
+ */
+function trace(type, message, details) {
+    let event = Object.freeze({ type, message, ...details });
+
+    if (typeof(debugging.logger) == "function") {
+        debugging.logger(event);
     }
-    if (!klass || (typeof(klass) != "function")) {
-        throw new TypeError(`Expected klass to be a function.`);
+    else if (type == "warning") {
+        console.warn(`cfprotected: ${message}`);
     }
-    if (!members || (typeof(members) != "object")) {
-        throw new TypeError(`Expected members to be an object.`);
+    else {
+        console.debug(`cfprotected: ${message}`);
     }
+}
 
-    
-    /*
-    * Each class' memo entry has the following structure:
-    * 
-    * inst: {
-    *   data: <Object> - the actual protected data object
-    *   inheritance: <Object> - the object of accessor properties to share
-    *                           with descendant classes.
-    * }
-    */
-   
-    //Find the nearest known registered ancestor class
-    let ancestor = Object.getPrototypeOf(klass);
-    while (ancestor && !memos.has(ancestor)) {
-        ancestor = Object.getPrototypeOf(ancestor);
-    }
+/**
+ * Reports a read or write of a shared member made through an accessor object.
+ * @param {string} type Either "read" or "write".
+ * @param {object} record The memo record of the class whose accessor object
+ * was used.
+ * @param {string|symbol} key The name of the shared member.
+ * @param {*} value The value read or written.
+ */
+function traceAccess(type, record, key, value) {
+    let owner = findOwner(record.data, key)?.klass || null;
 
-    //Get the memo from that ancestor
-    let ancestorMemo = memos.get(ancestor) || new WeakMap();
+    trace(type, `${type == "read" ? "Read" : "Write"} of shared member ${String(key)} through class ${record.klass.name}`
+        + (owner ? `, declared by class ${owner.name}` : ""), { klass: record.klass, key, owner, value });
+}
 
-    //Create a memo map for the current class
-    if (!memos.has(klass)) {
-        memos.set(klass, new WeakMap());
+/**
+ * Reports an assignment to a shared member to the callbacks watching it, or
+ * queues the change if a batch() is running.
+ * @param {object} protData The protected data object that was written.
+ * @param {string|symbol} key The name of the shared member.
+ * @param {*} oldValue The value of the member before the assignment.
+ * @param {Function} writer The class whose accessor object made the
+ * assignment.
+ */
+function notify(protData, key, oldValue, writer) {
+    let change = { key, oldValue, newValue: protData[key], writer };
+
+    if (batching.depth) {
+        if (!batching.pending.has(protData)) {
+            batching.pending.set(protData, new Map());
+        }
+        let changes = batching.pending.get(protData);
+        if (changes.has(key)) {
+            change.oldValue = changes.get(key).oldValue;
+        }
+        changes.set(key, change);
+    }
+    else {
+        let errors = [];
+        deliver(protData, change, errors);
+        throwAll(errors);
     }
+}
 
-    //Get the protected data object.
-    let ancestorKey = (inst === klass) ? ancestor : inst;
-    let memo = ancestorMemo.get(ancestorKey) || {data: {}, $uper: {}, inheritance: null};
-    let protData = memo.data;
-    
-    //Get the details of the protected properties.
-    let mDesc = Object.getOwnPropertyDescriptors(members);
-    let mKeys = getAllOwnKeys(members);
+/**
+ * Calls the callbacks watching a shared member, unless the change left the
+ * value of the member as it was. Every callback is called, even if an earlier
+ * one throws.
+ * @param {object} protData The protected data object that was written.
+ * @param {object} change The description of the change.
+ * @param {Array} errors Receives the errors thrown by the callbacks.
+ */
+function deliver(protData, change, errors) {
+    let callbacks = watchers.get(protData)?.get(change.key);
 
-    //Add the new members to the prototype chain of protData.
-    let prototype = Object.getPrototypeOf(protData);
-    
-    let proto = Object.create(prototype,
-        Object.fromEntries(mKeys
-            .map(k => {
-                // @ts-ignore
-                let desc = mDesc[k];
-                if (desc.value?.hasOwnProperty(ACCESSOR)) {
-                    Object.assign(desc, desc.value);
-                    desc.enumerable = true;
-                    delete desc[ACCESSOR];
-                    delete desc.value;
-                    delete desc.writable;
-                }
-                bindDescriptor(desc, inst);
-                return [k, desc];
-            })));
-    Object.setPrototypeOf(protData, proto);
+    if (callbacks && !Object.is(change.oldValue, change.newValue)) {
+        for (let callback of [...callbacks]) {
+            try {
+                callback(Object.freeze({ ...change }));
+            }
+            catch (e) {
+                errors.push(e);
+            }
+        }
+    }
+}
 
-    //Build the accessors for this class.
-    mKeys.forEach(m => {
-        Object.defineProperty(retval, m, {
-            get() { return protData[m]; },
-            set(v) { protData[m] = v; }
-        });
-    });
-    
-    //Define the "$uper" accessors
-    Object.defineProperty(retval, "$uper", { value: {} });
+/**
+ * Rethrows the errors thrown by watch() callbacks. A single error is rethrown
+ * as is, while several are combined into an AggregateError.
+ * @param {Array} errors The errors thrown by the callbacks.
+ */
+function throwAll(errors) {
+    if (errors.length == 1) {
+        throw errors[0];
+    }
+    if (errors.length > 1) {
+        throw new AggregateError(errors, `${errors.length} watch() callbacks threw while reporting changes`);
+    }
+}
 
-    //Build up the "$uper" object
-    for (let key of mKeys) {
-        if (key in prototype) {
-            let obj = prototype;
-            while (!obj.hasOwnProperty(key)) {
-                obj = Object.getPrototypeOf(obj);
+/**
+ * Builds the descriptor of a shared member created with lazy(). The factory
+ * runs on the first read, and its result replaces the member in the layer of
+ * the class declaring it, so that descendant classes can still shadow it.
+ * @param {string|symbol} key The name of the shared member.
+ * @param {Descriptor} desc The descriptor holding the bound factory.
+ * @param {object} protData The protected data object of the instance.
+ * @param {Function} getLayer Returns the layer holding the member.
+ * @param {Function} getShared Returns the accessor object of the class
+ * declaring the member.
+ * @returns {Descriptor} The accessor descriptor of the member.
+ */
+function lazyDescriptor(key, desc, protData, getLayer, getShared) {
+    let factory = desc.value;
+    let done = false;
+    let value;
+    let retval = {
+        enumerable: desc.enumerable,
+        configurable: true,
+        get() {
+            if (!done) {
+                value = factory(getShared());
+                done = true;
+                Object.defineProperty(getLayer(), key, {
+                    value,
+                    writable: desc.writable,
+                    enumerable: desc.enumerable,
+                    configurable: true
+                });
             }
-            Object.defineProperty(retval.$uper, key, Object.getOwnPropertyDescriptor(obj, key));
+            return value;
+        }
+    };
+
+    //Lets describeShared() report the member as data until its first read.
+    Object.defineProperty(retval.get, LAZY, { value: true });
+
+    //Writing before the first read skips the factory, just as writing to
+    //an ordinary data member shadows the value declared by the class.
+    if (desc.writable) {
+        retval.set = (v) => {
+            Object.defineProperty(protData, key, {
+                value: v,
+                writable: true,
+                enumerable: true,
+                configurable: true
+            });
+        };
+    }
+
+    return retval;
+}
+
+/**
+ * Produces the object returned by the "$of" property of an accessor object.
+ * Its members resolve exactly as the given class declared or inherited them,
+ * no matter how descendant classes shadowed them.
+ * @param {object} record The memo record of the class owning the accessor
+ * object.
+ * @param {Function} klass The class whose view of the members is wanted. It
+ * must be the owning class or one of its registered ancestors.
+ * @returns {object} A frozen object of getters for the members.
+ */
+function qualify(record, klass) {
+    if (typeof(klass) != "function") {
+        throw new TypeError(`Expected klass to be a function.`);
+    }
+
+    let target = unwrap(klass);
+    let found = record;
+    while (found && (found.klass !== target)) {
+        found = found.parent;
+    }
+
+    if (!found) {
+        throw new TypeError(`Class ${target.name} is not an ancestor of class ${record.klass.name}`);
+    }
+
+    if (!qualified.has(found)) {
+        let declarers = new Map();
+        for (let level = found; level; level = level.parent) {
+            getAllOwnKeys(level.layer)
+                .filter(key => !declarers.has(key))
+                .forEach(key => declarers.set(key, level));
         }
+
+        //Values assigned through the accessor objects belong to the visible
+        //definition of a member, so they only apply if no descendant of
+        //klass shadows it.
+        let read = (key) => (findOwner(found.data, key) === declarers.get(key))
+            ? found.data[key]
+            : found.layer[key];
+
+        qualified.set(found, Object.freeze(Object.create(null, Object.fromEntries([...declarers.keys()]
+            .map(key => [key, { enumerable: true, get: () => read(key) }])))));
+    }
+
+    return qualified.get(found);
+}
+
+/**
+ * Returns the object it is given from its constructor, so that subclasses can
+ * add private fields to objects they did not create.
+ */
+class Passthrough {
+    constructor(obj) {
+        return obj;
+    }
+}
+
+/**
+ * Attaches the memo record of a class to its protected data layer and to the
+ * accessor objects share() returns for it, without adding any property that
+ * reflection could see.
+ */
+class RecordStamp extends Passthrough {
+    #record;
+    #borrowed;
+
+    /**
+     * @param {object} obj The layer or accessor object.
+     * @param {object} record The memo record it belongs to.
+     * @param {boolean} [borrowed] Whether obj is handed to a class other than
+     * the one it belongs to, such as a friend.
+     */
+    constructor(obj, record, borrowed = false) {
+        super(obj);
+        this.#record = record;
+        this.#borrowed = borrowed;
+    }
+
+    /**
+     * Retrieves the memo record stamped onto an object.
+     * @param {*} obj The object to examine. Stamps are not inherited.
+     * @returns {object|null} The memo record, or null if there is none.
+     */
+    static of(obj) {
+        return (obj && (typeof(obj) == "object") && (#record in obj))
+            ? obj.#record
+            : null;
     }
 
-    //Attach the super inheritance
-    Object.setPrototypeOf(retval.$uper, memo.$uper);
+    /**
+     * Determines whether a stamped object was handed to a class other than
+     * the one it belongs to.
+     * @param {*} obj The object to examine.
+     * @returns {boolean}
+     */
+    static isBorrowed(obj) {
+        return !!obj && (typeof(obj) == "object") && (#record in obj) && obj.#borrowed;
+    }
+
+    /**
+     * Builds the accessor property through which the accessor objects of a
+     * class reach one of its shared members. Every accessor object carries
+     * its own stamp, so the accessor reads the record from the object it is
+     * used on instead of searching for it.
+     * @param {string|symbol} key The name of the shared member.
+     * @param {boolean} writable Whether the member can be assigned through
+     * the accessor object.
+     * @returns {PropertyDescriptor} The accessor descriptor.
+     */
+    static member(key, writable) {
+        let retval = {
+            get() { return readShared(this.#record, key); }
+        };
 
-    //Inherit the inheritance
-    Object.setPrototypeOf(retval, memo.inheritance);
+        if (writable) {
+            retval.set = function(v) { assignShared(this.#record, key, v); };
+        }
+
+        return retval;
+    }
+}
+
+//Every copy of this module uses the first copy's stamp so that each can read
+//the stamps of the others.
+const Stamp = registered("RecordStamp", () => RecordStamp);
+
+/**
+ * Reads a shared member through the accessor object of a class.
+ * @param {object} record The memo record of the class whose accessor object
+ * is being read.
+ * @param {string|symbol} key The name of the shared member.
+ * @returns {*} The value of the member.
+ */
+function readShared(record, key) {
+    let retval = record.data[key];
+
+    if (debugging.enabled) {
+        traceAccess("read", record, key, retval);
+    }
+
+    return retval;
+}
+
+/**
+ * Writes a shared member through the accessor object of a class.
+ * @param {object} record The memo record of the class whose accessor object
+ * is being written.
+ * @param {string|symbol} key The name of the shared member.
+ * @param {*} value The new value.
+ */
+function assignShared(record, key, value) {
+    let protData = record.data;
+    let chain = record.chain;
+
+    if (chain.top.layout.slots[key]?.readonly) {
+        throw new TypeError(`Cannot assign to read only shared member ${String(key)} of class ${ownerOf(record, key).klass.name}`);
+    }
+    if (chain.locked && ownerOf(record, key)?.locked) {
+        throw new TypeError(`Cannot assign to shared member ${String(key)} of a locked object`);
+    }
+
+    if (chain.watchers?.has(key)) {
+        //A lazy member that was never read has no value yet, and reading it
+        //here would run its factory only to replace the result.
+        let oldValue = Object.hasOwn(findDescriptor(protData, key)?.get || {}, LAZY)
+            ? undefined
+            : protData[key];
+        protData[key] = value;
+        notify(protData, key, oldValue, record.klass);
+    }
+    else {
+        protData[key] = value;
+    }
+
+    if (debugging.enabled) {
+        traceAccess("write", record, key, value);
+    }
+}
+
+/**
+ * Retrieves the member layout cached for a class, if it still applies.
+ * @param {Function} klass The class sharing members.
+ * @param {boolean} isStatic Whether the static members are being shared.
+ * @param {object|null} parent The memo record of the nearest registered
+ * ancestor.
+ * @param {(string|symbol)[]} keys The keys of the members object.
+ * @returns {object|null} The layout, or null if it has to be computed.
+ */
+function findLayout(klass, isStatic, parent, keys) {
+    let retval = layouts.get(klass)?.[isStatic ? "static" : "instance"] || null;
+
+    if (retval && ((retval.parent !== (parent ? parent.layout : null))
+        || (retval.keys.length != keys.length)
+        || retval.keys.some((key, i) => key !== keys[i]))) {
+        retval = null;
+    }
+
+    return retval;
+}
+
+/**
+ * Computes the member layout of a class: which members it declares, how
+ * they are marked, and the accessors through which they are reached. Every
+ * check that only depends on the class and its ancestry happens here, once
+ * per class rather than once per instance.
+ * @param {Function} klass The class sharing members.
+ * @param {boolean} isStatic Whether the static members are being shared.
+ * @param {object|null} parent The memo record of the nearest registered
+ * ancestor.
+ * @param {object} members The members object given to share().
+ * @param {(string|symbol)[]} keys The keys of the members object.
+ * @returns {object} The layout.
+ */
+function analyze(klass, isStatic, parent, members, keys) {
+    let retval = {
+        parent: parent ? parent.layout : null,
+        keys,
+        entries: [],
+        readonly: new Set(),
+        protectedRead: new Set(),
+        abstract: new Map(),
+        sealed: new Set(),
+        hooks: new Set(),
+        uper: [],
+        slots: Object.create(null),
+        accessors: Object.create(null),
+        aliases: null,
+        prototype: null
+    };
+
+    //Inherited members are owned by the same ancestor one level further up.
+    if (parent) {
+        for (let key of getAllOwnKeys(parent.layout.slots)) {
+            let { depth, readonly } = parent.layout.slots[key];
+            retval.slots[key] = { depth: depth + 1, readonly };
+        }
+    }
+
+    //Apply the exclusions and aliases mixin() was given for a trait.
+    let trait = traits.get(klass);
+    let sources = trait ? keys.filter(k => !trait.exclude.has(k)) : keys;
+    let aliases = Object.create(null);
+
+    //The first layer of protData inherits from Object.prototype.
+    let prototype = parent ? Object.getPrototypeOf(parent.data) : Object.prototype;
+
+    for (let source of sources) {
+        let k = (trait && trait.alias.has(source)) ? trait.alias.get(source) : source;
+        let value = Object.getOwnPropertyDescriptor(members, source).value;
+
+        //Peel the markers off of the member's value.
+        let tags = [];
+        let tag;
+        while ((tag = MARKERS.find(t => isMarked(value, t)))) {
+            tags.push(tag);
+            value = value.value;
+        }
+
+        let sealer = parent;
+        while (sealer && !sealer.sealed.has(k)) {
+            sealer = sealer.parent;
+        }
+        if (sealer) {
+            throw new TypeError(`Class ${klass.name} cannot redefine shared member ${String(k)} sealed by class ${sealer.klass.name}`);
+        }
+        if (tags.includes(OVERRIDE) && !hasAncestorMember(parent, k)) {
+            throw new TypeError(`Class ${klass.name} cannot override shared member ${String(k)} that no ancestor of ${klass.name} declares`);
+        }
+
+        let rival = (trait && !tags.includes(OVERRIDE)) ? findTraitRival(parent, trait.composition, k) : null;
+        if (rival) {
+            throw new TypeError(`Traits ${rival.klass.name} and ${klass.name} both declare shared member ${String(k)}. Exclude or alias it in one of them.`);
+        }
+
+        if (tags.includes(READONLY)) {
+            retval.readonly.add(k);
+        }
+        if (tags.includes(PROTECTED_READ)) {
+            retval.protectedRead.add(k);
+        }
+        if (tags.includes(SEALED)) {
+            retval.sealed.add(k);
+        }
+        if (tags.includes(POST_CONSTRUCT)) {
+            retval.hooks.add(k);
+        }
+        if (abstractMembers.has(value)) {
+            retval.abstract.set(k, abstractMembers.get(value));
+        }
+        if (k in prototype) {
+            retval.uper.push(k);
+        }
+
+        retval.slots[k] = { depth: 0, readonly: tags.includes(READONLY) };
+        retval.entries.push({
+            key: k,
+            source,
+            tags,
+            accessor: isMarked(value, ACCESSOR),
+            abstract: abstractMembers.get(value)
+        });
+        retval.accessors[k] = Stamp.member(k, true);
+        if (k !== source) {
+            aliases[source] = retval.accessors[k];
+        }
+    }
+
+    //Descendants only get to read the members their ancestor keeps writable.
+    if (parent) {
+        for (let m of parent.protectedRead) {
+            if (!Object.hasOwn(retval.accessors, m)) {
+                retval.accessors[m] = Stamp.member(m, false);
+            }
+        }
+    }
+
+    if (getAllOwnKeys(aliases).length) {
+        retval.aliases = aliases;
+    }
+
+    //The accessors of ancestor classes are inherited from their layouts.
+    retval.prototype = Object.create(parent ? parent.layout.prototype : null, retval.accessors);
+
+    if (!layouts.has(klass)) {
+        layouts.set(klass, {});
+    }
+    layouts.get(klass)[isStatic ? "static" : "instance"] = retval;
+
+    return retval;
+}
+
+/**
+ * Builds the member descriptors of one instance from the layout of its class.
+ * @param {object} layout The layout produced by analyze().
+ * @param {object} inst The instance or class the members are bound to.
+ * @param {object} members The members object given to share().
+ * @param {object} protData The protected data object of the instance.
+ * @param {Function} getLayer Returns the layer holding the members.
+ * @param {Function} getShared Returns the accessor object of the class.
+ * @returns {{descs: object, clone: Map}|null} The descriptors and the clone
+ * functions of the members, or null if the members object no longer matches
+ * the layout.
+ */
+function instantiate(layout, inst, members, protData, getLayer, getShared) {
+    let descs = Object.create(null);
+    let clone = new Map();
+    let retval = { descs, clone };
+
+    for (let i = 0; retval && (i < layout.entries.length); ++i) {
+        let entry = layout.entries[i];
+        let desc = Object.getOwnPropertyDescriptor(members, entry.source);
+        let matches = true;
+
+        for (let tag of entry.tags) {
+            matches = matches && isMarked(desc.value, tag);
+            if (matches) {
+                if (tag === CLONE) {
+                    clone.set(entry.key, desc.value.clone);
+                }
+                desc.value = desc.value.value;
+            }
+        }
+        matches = matches
+            && !MARKERS.some(t => isMarked(desc.value, t))
+            && (isMarked(desc.value, ACCESSOR) === entry.accessor)
+            && (abstractMembers.get(desc.value) === entry.abstract);
+
+        if (!matches) {
+            retval = null;
+        }
+        else {
+            if (entry.tags.includes(READONLY)) {
+                desc.writable = false;
+            }
+            if (entry.accessor) {
+                let { get, set } = desc.value;
+                desc = { get, set, enumerable: true, configurable: desc.configurable };
+            }
+            bindDescriptor(desc, inst);
+            if (entry.tags.includes(LAZY)) {
+                desc = lazyDescriptor(entry.key, desc, protData, getLayer, getShared);
+            }
+            descs[entry.key] = desc;
+        }
+    }
+
+    return retval;
+}
+
+/**
+ * Warns about calls to share() that are valid but most likely mistakes.
+ * Only used in debug mode.
+ * @param {object} inst The instance or class given to share().
+ * @param {Function} klass The class given to share().
+ * @param {Function|undefined} ancestor The nearest registered ancestor of
+ * klass.
+ */
+function diagnoseShare(inst, klass, ancestor) {
+    if (!ancestor) {
+        let wrapper = Object.getPrototypeOf(klass);
+        while (wrapper && !wrappers.has(wrapper)) {
+            wrapper = Object.getPrototypeOf(wrapper);
+        }
+        if (wrapper) {
+            trace("warning", `Class ${klass.name} has no registered ancestor, although it extends ${unwrap(wrapper).name} through a wrapper created by abstract(), final() or similar. A class that shares members must pass itself to share(), not its wrapper.`, { klass, instance: inst });
+        }
+    }
+}
+
+/**
+ * Used to both store inherited property information as well as retrieve it.
+ * @overload { (inst, klass, members) => object }
+ * @overload { (inst, members) => object }
+ * @param {object} inst The instance object that will own the shared members.
+ * @param {Constructor|object} klass The constructor function of the class sharing
+ * members. Optional. If omitted, defaults to inst.
+ * @param {object=} members The object containing the properties being shared.
+ * @returns {object} The fully constructed inheritance object.
+ */
+function share(inst, klass, members) {
+    if ((typeof(inst) == "function") 
+        && klass && (typeof(klass) == "object")
+        && (members === void 0)) {
+        members = klass;
+        klass = inst;
+    }
+
+    if (!inst || !["function", "object"].includes(typeof(inst))) {
+        throw new TypeError(`Expected inst to be a function or an object.`);
+    }
+    if (!klass || (typeof(klass) != "function")) {
+        throw new TypeError(`Expected klass to be a function.`);
+    }
+    if (!members || (typeof(members) != "object")) {
+        throw new TypeError(`Expected members to be an object.`);
+    }
+
+    //Make sure the data ends up under the class that is being constructed.
+    let instName = (typeof(inst) == "function")
+        ? inst.name
+        : Object.getPrototypeOf(inst)?.constructor?.name || "Object";
+    if ((typeof(inst) == "function") && (inst !== klass)) {
+        throw new TypeError(`Class ${klass.name} cannot share static members with class ${instName}. Use share(${klass.name}, members) instead.`);
+    }
+    if ((inst !== klass) && !(klass.prototype && Object.prototype.isPrototypeOf.call(klass.prototype, inst))) {
+        throw new TypeError(`Class ${klass.name} cannot share members with an instance of class ${instName}, which does not inherit from it`);
+    }
+    if (memos.get(klass)?.has(inst)) {
+        throw new TypeError((inst === klass)
+            ? `Class ${klass.name} has already shared its static members`
+            : `Class ${klass.name} has already shared members with this instance of class ${instName}`);
+    }
+
+    
+    /*
+    * Each class' memo entry has the following structure:
+    * 
+    * inst: {
+    *   klass: <Function> - the class that registered this record
+    *   parent: <Object> - the record of the nearest registered ancestor
+    *   layer: <Object> - the prototype of protData holding this class'
+    *                     members
+    *   readonly: <Set> - the keys of this class' members marked readonly()
+    *   protectedRead: <Set> - the keys of this class' members marked
+    *                          protectedRead()
+    *   abstract: <Map> - the keys of this class' members created with
+    *                     abstract(), mapped to the name given to abstract()
+    *   sealed: <Set> - the keys of this class' members marked sealedMember()
+    *   hooks: <Set> - the keys of this class' members marked postConstruct()
+    *   clone: <Map> - the keys of this class' members marked cloneWith() or
+    *                  transient(), mapped to their clone function or null
+    *   members: <Object> - the members object given to share()
+    *   layout: <Object> - the member layout shared by every instance of the
+    *                      class, as produced by analyze()
+    *   data: <Object> - the actual protected data object
+    *   inheritance: <Object> - the object of accessor properties to share
+    *                           with descendant classes.
+    *   $uper: <Object> - the object of ancestor members shadowed by this
+    *                     class
+    * }
+    */
+   
+    //Find the nearest known registered ancestor class
+    let ancestor = unwrap(Object.getPrototypeOf(klass));
+    while (ancestor && !memos.has(ancestor)) {
+        ancestor = unwrap(Object.getPrototypeOf(ancestor));
+    }
+
+    if (debugging.enabled) {
+        diagnoseShare(inst, klass, ancestor);
+    }
+
+    //Get the memo from that ancestor
+    let ancestorMemo = memos.get(ancestor) || new WeakMap();
+
+    //Create a memo map for the current class
+    if (!memos.has(klass)) {
+        memos.set(klass, new WeakMap());
+    }
+
+    //Get the protected data object.
+    let ancestorKey = (inst === klass) ? ancestor : inst;
+    let parent = ancestorMemo.get(ancestorKey) || null;
+    let memo = parent || {data: {}, $uper: {}, inheritance: null};
+    let protData = memo.data;
+
+    if ((inst !== klass) && parent?.locked) {
+        throw new TypeError(`Class ${klass.name} cannot share members with an object whose shared members are locked`);
+    }
+    
+    //Reuse the member layout computed for the previous instance of this
+    //class, unless the members or the ancestry changed shape since then.
+    let isStatic = (inst === klass);
+    let mKeys = getAllOwnKeys(members);
+    let layout = findLayout(klass, isStatic, parent, mKeys);
+    let getLayer = () => proto;
+    let getShared = () => view;
+    let instance = layout && instantiate(layout, inst, members, protData, getLayer, getShared);
+    if (!instance) {
+        layout = analyze(klass, isStatic, parent, members, mKeys);
+        instance = instantiate(layout, inst, members, protData, getLayer, getShared);
+    }
+
+    //Add the new members to the prototype chain of protData.
+    let prototype = Object.getPrototypeOf(protData);
+    let proto = Object.create(prototype, instance.descs);
+    Object.setPrototypeOf(protData, proto);
+
+    //Build the accessors for this class. They read the record stamped onto
+    //the accessor object they are used on, so the same accessors serve every
+    //instance.
+    let retval = Object.create(parent ? parent.layout.prototype : null, layout.accessors);
+
+    //Build up the "$uper" object
+    let uperDescs = {};
+    for (let key of layout.uper) {
+        let obj = prototype;
+        while (!Object.hasOwn(obj, key)) {
+            obj = Object.getPrototypeOf(obj);
+        }
+        uperDescs[key] = Object.getOwnPropertyDescriptor(obj, key);
+    }
+    let $uper = Object.create(memo.$uper, uperDescs);
+
+    //Define the "$uper" accessors
+    Object.defineProperty(retval, "$uper", { value: $uper });
+
+    //Define the "$of" qualified access
+    Object.defineProperty(retval, "$of", { value: (ancestor) => qualify(record, ancestor) });
+
+    //Aliased trait members remain reachable by their original names, but
+    //only through the accessor object handed to the trait itself.
+    let view = retval;
+    if (layout.aliases) {
+        view = Object.create(retval, layout.aliases);
+    }
+
+    //Save the inheritance & protected data
+    let record = {
+        klass,
+        parent,
+        layer: proto,
+        readonly: layout.readonly,
+        protectedRead: layout.protectedRead,
+        abstract: layout.abstract,
+        sealed: layout.sealed,
+        hooks: layout.hooks,
+        clone: instance.clone,
+        members,
+        layout,
+        chain: parent ? parent.chain : {},
+        locked: false,
+        data: protData,
+        inheritance: retval,
+        borrowed: null,
+        $uper
+    };
+    new Stamp(proto, record);
+    new Stamp(retval, record);
+    if (view !== retval) {
+        new Stamp(view, record);
+    }
+    //Every record of the protected data object shares the chain, whose top
+    //is the record of the most derived class registered so far.
+    record.chain.top = record;
+    memos.get(klass).set(inst, record);
+
+    if (debugging.enabled) {
+        let keys = layout.entries.map(entry => entry.key);
+        trace("share", `Class ${klass.name} shared ${isStatic ? "static " : ""}members ${keys.map(String).join(", ")}`
+            + (parent ? ` after class ${parent.klass.name}` : ""), { klass, instance: inst, keys: Object.freeze(keys), parent: parent?.klass || null });
+        for (let key of layout.uper) {
+            let owner = findOwner(proto, key)?.klass || null;
+            if (owner) {
+                trace("shadow", `Class ${klass.name} shadows shared member ${String(key)} of class ${owner.name}`, { klass, key, owner });
+            }
+            trace("uper", `$uper.${String(key)} of class ${klass.name} resolves to the member of ${owner ? `class ${owner.name}` : "Object.prototype"}`, { klass, key, owner });
+        }
+    }
+
+    //The most derived class is the last to register for an instance, unless
+    //it was wrapped by lifecycle().
+    if ((inst !== klass) && (Object.getPrototypeOf(inst) === klass.prototype)) {
+        completeConstruction(inst);
+    }
+
+    return view;
+}
+
+/**
+ * Finds the class that owns the given decorator metadata object among the
+ * classes an instance was constructed from.
+ * @param {object} inst The instance under construction.
+ * @param {object} metadata The metadata object of the decorated class.
+ * @returns {Function|null} The class, or null if there is none.
+ */
+function declaringClass(inst, metadata) {
+    let classes = [];
+    for (let proto = Object.getPrototypeOf(inst); proto; proto = Object.getPrototypeOf(proto)) {
+        classes.unshift(proto.constructor);
+    }
+
+    //Undecorated descendants inherit the metadata of their ancestors, so the
+    //most distant class carrying it is the one that declared it.
+    let retval = classes.find(k => (typeof(k) == "function") && (k[METADATA] === metadata));
+    return retval ? unwrap(retval) : null;
+}
+
+/**
+ * A decorator for a field or auto-accessor that holds the accessor object of
+ * the class. The initial value of the field is the members object, and the
+ * field receives what share() returns for it. Static fields share static
+ * members. Classes using the decorator can inherit from classes calling
+ * share() directly, and the other way around.
+ * @param {*} value Undefined for fields, or the getter and setter of an
+ * auto-accessor, which are kept.
+ * @param {object} context The decorator context.
+ * @returns {Function|object} The field initializer, or the replacement
+ * auto-accessor.
+ */
+function protectedMember(value, context) {
+    if (!context || !["field", "accessor"].includes(context.kind)) {
+        throw new TypeError(`protectedMember can only decorate fields and auto-accessors`);
+    }
+
+    let metadata = context.metadata;
+    if (!context.static && (!metadata || (typeof(metadata) != "object"))) {
+        throw new TypeError(`protectedMember requires decorator metadata to find the class of ${String(context.name)}`);
+    }
+
+    let init = function(members) {
+        let retval;
+
+        if (context.static) {
+            retval = share(this, members);
+        }
+        else {
+            let klass = declaringClass(this, metadata);
+            if (!klass) {
+                throw new TypeError(`Cannot find the class declaring ${String(context.name)}`);
+            }
+            retval = share(this, klass, members);
+        }
+
+        return retval;
+    };
+
+    return (context.kind == "field") ? init : { init };
+}
+
+/**
+ * Grants the listed friend classes access to the shared members of a class.
+ * Only the class itself can do this, since it has to present one of the
+ * accessor objects share() returned to it. Friendship is neither inherited
+ * nor transitive. Wrappers created by abstract() and final() are treated as
+ * the class they wrap.
+ * @param {object} shared An accessor object share() returned to the class
+ * whose shared members are being exposed.
+ * @param {...Constructor} friendList The classes being granted access.
+ */
+function friend(shared, ...friendList) {
+    let record = findAccessorRecord(shared, true);
+    if (!record) {
+        throw new TypeError(`Expected shared to be an accessor object returned by share().`);
+    }
+    if (friendList.some(f => typeof(f) != "function")) {
+        throw new TypeError(`Expected each friend to be a function.`);
+    }
+
+    let klass = record.klass;
+    if (!friends.has(klass)) {
+        friends.set(klass, new Set());
+    }
+
+    let list = friends.get(klass);
+    for (let f of friendList) {
+        list.add(unwrap(f));
+    }
+}
+
+/**
+ * Retrieves the accessor object that share() built for the given instance and
+ * class on behalf of a friend class. The friend proves its identity with one
+ * of the accessor objects share() returned to it.
+ * @overload { (inst, klass, friendShared) => object }
+ * @overload { (klass, friendShared) => object }
+ * @param {object} inst The instance object that owns the shared members. This
+ * can also be a membrane() around the instance.
+ * @param {Constructor} klass The class whose shared members are requested.
+ * Optional. If omitted, defaults to inst.
+ * @param {object=} friendShared An accessor object share() returned to the
+ * friend class requesting access.
+ * @returns {object} The accessor object of klass for inst.
+ */
+function protectedOf(inst, klass, friendShared) {
+    inst = unwrapMembrane(inst);
+    if ((typeof(inst) == "function") && (friendShared === void 0)) {
+        friendShared = klass;
+        klass = inst;
+    }
+
+    if (!inst || !["function", "object"].includes(typeof(inst))) {
+        throw new TypeError(`Expected inst to be a function or an object.`);
+    }
+    if (typeof(klass) != "function") {
+        throw new TypeError(`Expected klass to be a function.`);
+    }
+    let friendKlass = findAccessorRecord(friendShared, true)?.klass;
+    if (!friendKlass) {
+        throw new TypeError(`Expected friendShared to be an accessor object returned by share().`);
+    }
+
+    let target = unwrap(klass);
+    if (!friends.get(target)?.has(friendKlass)) {
+        throw new TypeError(`Class ${friendKlass.name} is not a friend of class ${target.name}`);
+    }
+
+    let isStatic = (inst === klass);
+    let memo = memos.get(target)?.get(isStatic ? target : inst);
+    if (!memo) {
+        throw new TypeError(`No shared members of class ${target.name} are registered for this ${isStatic ? "class" : "instance"}`);
+    }
+
+    //Friends get a view of the accessor object that cannot vouch for the
+    //class it belongs to.
+    if (!memo.borrowed) {
+        memo.borrowed = new Stamp(Object.create(memo.inheritance), memo, true);
+    }
+
+    return memo.borrowed;
+}
+
+/**
+ * Finds the shared member record of the most derived registered class for the
+ * given instance or class.
+ * @param {object|Function} inst The instance or class to search for.
+ * @returns {object|null} The memo record, or null if none is registered.
+ */
+function findRecord(inst) {
+    let isStatic = (typeof(inst) == "function");
+    let klass = isStatic ? inst : Object.getPrototypeOf(inst)?.constructor;
+    let retval = null;
+
+    while (klass && !retval) {
+        klass = unwrap(klass);
+        retval = memos.get(klass)?.get(isStatic ? klass : inst) || null;
+        klass = Object.getPrototypeOf(klass);
+    }
+
+    return retval;
+}
+
+/**
+ * Describes the kind of shared member held by the given property descriptor.
+ * Members created with lazy() are data members, even before their first read.
+ * @param {PropertyDescriptor} desc The descriptor of the member.
+ * @returns {string} One of "accessor", "method" or "data".
+ */
+function kindOf(desc) {
+    let retval = "data";
+
+    if (!("value" in desc) && !Object.hasOwn(desc.get || {}, LAZY)) {
+        retval = "accessor";
+    }
+    else if (typeof(desc.value) == "function") {
+        retval = "method";
+    }
+
+    return retval;
+}
+
+/**
+ * Produces a read-only description of the shared member records that share()
+ * built for an instance or a class. The description lists one entry per
+ * registered class, ordered from the most distant ancestor to the most derived
+ * class.
+ * @param {object|Function} inst The instance to describe, or the class whose
+ * static shared members are to be described.
+ * @returns {object[]} A frozen array of entries of the form
+ * `{ klass, members: [{ key, kind, owner }], uper: [key] }`, where `owner` is
+ * the class whose definition of the member wins after shadowing, and `uper`
+ * lists the keys reachable through that class' `$uper` object.
+ */
+function describeShared(inst) {
+    inst = unwrapMembrane(inst);
+    if (!inst || !["function", "object"].includes(typeof(inst))) {
+        throw new TypeError(`Expected inst to be a function or an object.`);
+    }
+
+    let records = [];
+    for (let record = findRecord(inst); record; record = record.parent) {
+        records.unshift(record);
+    }
+
+    let top = records[records.length - 1];
+    let ownerOf = (key) => {
+        let record = top;
+        while (!Object.hasOwn(record.layer, key)) {
+            record = record.parent;
+        }
+        return record.klass;
+    };
+
+    return Object.freeze(records.map(record => {
+        let uper = new Set();
+        for (let r = record; r; r = r.parent) {
+            getAllOwnKeys(r.$uper).forEach(key => uper.add(key));
+        }
+
+        return Object.freeze({
+            klass: record.klass,
+            members: Object.freeze(getAllOwnKeys(record.layer).map(key => Object.freeze({
+                key,
+                kind: kindOf(Object.getOwnPropertyDescriptor(record.layer, key)),
+                owner: ownerOf(key)
+            }))),
+            uper: Object.freeze([...uper])
+        });
+    }));
+}
+
+/**
+ * Subscribes to changes of a shared member. The callback is called after
+ * every assignment that changes the value of the member, no matter which
+ * class in the inheritance chain made the assignment.
+ * @param {object} shared An accessor object returned by share() or
+ * protectedOf().
+ * @param {string|symbol} key The name of the shared member to watch.
+ * @param {Function} callback Receives a frozen object of the form
+ * `{ key, oldValue, newValue, writer }`, where `writer` is the class whose
+ * accessor object made the assignment.
+ * @returns {Function} A function that cancels the subscription.
+ */
+function watch(shared, key, callback) {
+    let record = findAccessorRecord(shared);
+
+    if (!record) {
+        throw new TypeError(`Expected shared to be an accessor object returned by share().`);
+    }
+    if (!findOwner(record.data, key)) {
+        throw new TypeError(`Cannot watch ${String(key)}, which is not a shared member of class ${record.klass.name}`);
+    }
+    if (typeof(callback) != "function") {
+        throw new TypeError(`Expected callback to be a function.`);
+    }
+
+    let protData = record.data;
+    if (!watchers.has(protData)) {
+        watchers.set(protData, new Map());
+    }
+    let keyWatchers = watchers.get(protData);
+    record.chain.watchers = keyWatchers;
+    if (!keyWatchers.has(key)) {
+        keyWatchers.set(key, new Set());
+    }
+    let callbacks = keyWatchers.get(key);
+    let entry = (change) => callback(change);
+    callbacks.add(entry);
+
+    return () => {
+        callbacks.delete(entry);
+        if (!callbacks.size && (keyWatchers.get(key) === callbacks)) {
+            keyWatchers.delete(key);
+        }
+    };
+}
+
+/**
+ * Runs the given function while holding back the notifications of watch().
+ * When the outermost batch() returns, each watched member that changed is
+ * reported once, with its value from before the batch and its final value.
+ * Every change is reported even if a callback throws. The errors are rethrown
+ * afterwards, unless fn itself threw.
+ * @param {Function} fn The function making the changes.
+ * @returns {*} The return value of fn.
+ */
+function batch(fn) {
+    if (typeof(fn) != "function") {
+        throw new TypeError(`Expected fn to be a function.`);
+    }
+
+    let retval;
+    let completed = false;
+    ++batching.depth;
+    try {
+        retval = fn();
+        completed = true;
+    }
+    finally {
+        if (--batching.depth == 0) {
+            let pending = [...batching.pending];
+            let errors = [];
+            batching.pending.clear();
+            for (let [protData, changes] of pending) {
+                for (let change of changes.values()) {
+                    deliver(protData, change, errors);
+                }
+            }
+            if (completed) {
+                throwAll(errors);
+            }
+        }
+    }
+
+    return retval;
+}
+
+/**
+ * Determines whether the given value is a plain object, or an array, map, set
+ * or date that was not created by a subclass. The check does not depend on
+ * the realm that created the value.
+ * @param {*} value The value to test.
+ * @returns {boolean}
+ */
+function isPlainData(value) {
+    let retval = false;
+
+    if (value && (typeof(value) == "object")) {
+        let proto = Object.getPrototypeOf(value);
+        let tag = Object.prototype.toString.call(value);
+        let builtins = ["[object Array]", "[object Map]", "[object Set]", "[object Date]"];
+
+        retval = !proto
+            || ((tag == "[object Object]") && !Object.getPrototypeOf(proto))
+            || (builtins.includes(tag) && !Object.getPrototypeOf(Object.getPrototypeOf(proto)));
+    }
+
+    return retval;
+}
+
+/**
+ * Copies a value held by a shared data member. Plain objects, arrays, maps,
+ * sets and dates are deep-cloned, preserving cycles. Every other value,
+ * including instances of other classes found inside them, is copied by
+ * reference.
+ * @param {*} value The value to copy.
+ * @param {Map} [copies] The copies made so far, keyed by their originals.
+ * @returns {*} The copy.
+ */
+function cloneValue(value, copies = new Map()) {
+    let retval = value;
+
+    if (copies.has(value)) {
+        retval = copies.get(value);
+    }
+    else if (isPlainData(value)) {
+        let tag = Object.prototype.toString.call(value);
+
+        if (tag == "[object Date]") {
+            retval = new Date(value.getTime());
+        }
+        else if (tag == "[object Map]") {
+            retval = new Map();
+            copies.set(value, retval);
+            value.forEach((v, k) => retval.set(cloneValue(k, copies), cloneValue(v, copies)));
+        }
+        else if (tag == "[object Set]") {
+            retval = new Set();
+            copies.set(value, retval);
+            value.forEach(v => retval.add(cloneValue(v, copies)));
+        }
+        else {
+            retval = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+            copies.set(value, retval);
+            for (let key of getAllOwnKeys(value)) {
+                let desc = Object.getOwnPropertyDescriptor(value, key);
+                if ("value" in desc) {
+                    desc.value = cloneValue(desc.value, copies);
+                }
+                Object.defineProperty(retval, key, desc);
+            }
+        }
+    }
+
+    return retval;
+}
+
+/**
+ * Copies the value of a shared member the way the class declaring it asked
+ * for with cloneWith() or transient().
+ * @param {object|null} record The memo record of the class declaring the
+ * member.
+ * @param {string|symbol} key The name of the shared member.
+ * @param {*} value The value to copy.
+ * @returns {*} The copy.
+ */
+function cloneMember(record, key, value) {
+    let clone = record?.clone.get(key);
+    return (typeof(clone) == "function") ? clone(value) : cloneValue(value);
+}
+
+/**
+ * Determines whether the class declaring a shared member opted it out of
+ * snapshots with transient().
+ * @param {object|null} record The memo record of the class declaring the
+ * member.
+ * @param {string|symbol} key The name of the shared member.
+ * @returns {boolean}
+ */
+function isTransient(record, key) {
+    return !!record && (record.clone.get(key) === null);
+}
+
+/**
+ * Captures the protected data of an instance. Data members are copied per
+ * class level, while methods and accessors are left out, since they are
+ * bound to the instance they were created for.
+ * @param {object|Function} inst The instance to capture, or the class whose
+ * static shared members are to be captured.
+ * @returns {object} An opaque, frozen snapshot for use with restore(). The
+ * captured data is kept out of reach of any code holding the snapshot.
+ */
+function snapshot(inst) {
+    let record = (inst && ["function", "object"].includes(typeof(inst)))
+        ? findRecord(unwrapMembrane(inst))
+        : null;
+
+    if (!record) {
+        throw new TypeError(`Expected inst to be an object with shared members.`);
+    }
+
+    let levels = [];
+    for (let level = record; level; level = level.parent) {
+        let data = new Map();
+        for (let key of getAllOwnKeys(level.layer)) {
+            let desc = Object.getOwnPropertyDescriptor(level.layer, key);
+            if (("value" in desc) && (typeof(desc.value) != "function") && !isTransient(level, key)) {
+                data.set(key, cloneMember(level, key, desc.value));
+            }
+        }
+        levels.unshift({ klass: level.klass, members: level.members, data });
+    }
+
+    //Assignments made through the accessor objects live on the protected
+    //data object itself.
+    let written = new Map();
+    for (let key of getAllOwnKeys(record.data)) {
+        let owner = findOwner(record.data, key);
+        if (!isTransient(owner, key)) {
+            written.set(key, cloneMember(owner, key, record.data[key]));
+        }
+    }
+
+    let retval = Object.freeze(Object.create(null));
+    snapshots.set(retval, { levels, written });
+
+    return retval;
+}
+
+/**
+ * Determines whether a function of a members object can be bound to another
+ * object than the one its class level was created for. Only functions
+ * written with the function keyword have a prototype of their own. Arrow
+ * functions cannot be told apart from the others without one, and they keep
+ * the `this` they were created with.
+ * @param {*} value The value of the member, or of one of its accessor
+ * functions.
+ * @returns {boolean}
+ */
+function canRebind(value) {
+    return (typeof(value) != "function")
+        || abstractMembers.has(value)
+        || Object.hasOwn(value, "prototype");
+}
+
+/**
+ * Determines whether a class level can be built for another object from the
+ * members object it was created with.
+ * @param {object} members The members object given to share().
+ * @returns {boolean}
+ */
+function isRebindable(members) {
+    return getAllOwnKeys(members).every(key => {
+        let value = Object.getOwnPropertyDescriptor(members, key).value;
+        let tag;
+        while ((tag = MARKERS.find(t => isMarked(value, t)))) {
+            value = value.value;
+        }
+
+        return isMarked(value, ACCESSOR)
+            ? (canRebind(value.get) && canRebind(value.set))
+            : canRebind(value);
+    });
+}
+
+/**
+ * Replaces the protected data of an instance with the data captured by
+ * snapshot(). The instance must belong to the classes the snapshot was taken
+ * from. Class levels the instance has not registered yet are created from the
+ * original member definitions, bound to the instance. This is only possible
+ * if every function among them was written with the function keyword.
+ * @param {object|Function} inst The instance to restore.
+ * @param {object} snap A snapshot returned by snapshot().
+ */
+function restore(inst, snap) {
+    let captured = snapshots.get(snap);
+    if (!captured) {
+        throw new TypeError(`Expected snap to be a snapshot returned by snapshot().`);
+    }
+    if (!inst || !["function", "object"].includes(typeof(inst))) {
+        throw new TypeError(`Expected inst to be a function or an object.`);
+    }
+
+    inst = unwrapMembrane(inst);
+    let isStatic = (typeof(inst) == "function");
+    let record;
+
+    for (let record = findRecord(inst); record; record = record.parent) {
+        if (record.locked) {
+            throw new TypeError(`Cannot restore an object whose shared members are locked`);
+        }
+    }
+
+    //Check every level before changing any of them.
+    for (let { klass, members } of captured.levels) {
+        if (!memos.get(klass)?.has(inst)) {
+            let isMember = isStatic
+                ? (inst === klass)
+                : Object.prototype.isPrototypeOf.call(klass.prototype, inst);
+            if (!isMember) {
+                throw new TypeError(`Cannot restore the shared members of class ${klass.name} into an object that is not a ${klass.name}`);
+            }
+            if (!isRebindable(members)) {
+                throw new TypeError(`Cannot rebuild the shared members of class ${klass.name} for this object, since some of its functions cannot be bound to it`);
+            }
+        }
+    }
+
+    for (let level of captured.levels) {
+        let klass = level.klass;
+        record = memos.get(klass)?.get(inst);
+
+        if (!record) {
+            share(inst, klass, level.members);
+            record = memos.get(klass).get(inst);
+        }
+
+        for (let [key, value] of level.data) {
+            let desc = Object.getOwnPropertyDescriptor(record.layer, key);
+            if (desc && ("value" in desc)) {
+                desc.value = cloneMember(record, key, value);
+                Object.defineProperty(record.layer, key, desc);
+            }
+        }
+    }
+
+    let protData = record.data;
+    for (let key of getAllOwnKeys(protData)) {
+        if (!isTransient(findOwner(protData, key), key)) {
+            delete protData[key];
+        }
+    }
+    for (let [key, value] of captured.written) {
+        Object.defineProperty(protData, key, {
+            value: cloneMember(findOwner(protData, key), key, value),
+            writable: true,
+            enumerable: true,
+            configurable: true
+        });
+    }
+}
+
+/**
+ * Copies the protected data of one instance into another instance of the
+ * same classes, such as a copy created in a clone method.
+ * @param {object|Function} source The instance to copy from.
+ * @param {object|Function} target The instance to copy into.
+ */
+function cloneProtected(source, target) {
+    restore(target, snapshot(source));
+}
+
+/**
+ * Finds the record lockShared() and isLocked() operate on. For an instance,
+ * this is the record of its most derived registered class. For a class, it
+ * is the record of its own static shared members, since the static records
+ * of a class hierarchy share one protected data object.
+ * @param {*} inst The instance or class.
+ * @returns {object|null} The memo record, or null if there is none.
+ */
+function findLockRecord(inst) {
+    let retval = null;
+
+    if (typeof(inst) == "function") {
+        let klass = unwrap(unwrapMembrane(inst));
+        retval = memos.get(klass)?.get(klass) || null;
+    }
+    else if (inst && (typeof(inst) == "object")) {
+        retval = findRecord(unwrapMembrane(inst));
+    }
+
+    return retval;
+}
+
+/**
+ * Locks the given record and those of its ancestors.
+ * @param {object|null} record The memo record of the most derived class.
+ */
+function lockRecords(record) {
+    for (; record; record = record.parent) {
+        record.locked = true;
+        record.chain.locked = true;
+    }
+}
+
+/**
+ * Locks the shared members of an instance. Afterwards, every write through
+ * the accessor object of any class throws a TypeError, and so does every
+ * attempt to share new members with the instance. Methods and accessor
+ * getters keep working. The lock is shallow, so objects held by data members
+ * can still be modified.
+ * @param {object|Function} inst The instance to lock, or the class whose
+ * static shared members are to be locked. Locking a class only locks the
+ * static members it declares, not those of its ancestors.
+ */
+function lockShared(inst) {
+    let record = findLockRecord(inst);
+
+    if (!record) {
+        throw new TypeError(`Expected inst to be an object with shared members.`);
+    }
+
+    if (typeof(inst) == "function") {
+        record.locked = true;
+        record.chain.locked = true;
+    }
+    else {
+        lockRecords(record);
+    }
+}
+
+/**
+ * Determines whether the shared members of an instance have been locked.
+ * @param {object|Function} inst The instance or class to test.
+ * @returns {boolean}
+ */
+function isLocked(inst) {
+    let record = findLockRecord(inst);
+
+    return !!record?.locked;
+}
+
+/**
+ * A class wrapper that makes instances of a class and its descendants lock
+ * their shared members once construction has completed, after any
+ * post-construction hooks have run. The wrapper is a lifecycle() wrapper, so
+ * descendants that are instantiated must be wrapped with lifecycle() or
+ * autoLock() as well.
+ * @param {Constructor} klass The class whose instances are to be locked.
+ * @returns {Constructor} An extended class that locks its instances.
+ */
+function autoLock(klass) {
+    if (typeof(klass) != "function") {
+        throw new TypeError(`autoLock parameter must be a function`);
+    }
+
+    let retval = lifecycle(klass);
+    autoLocked.add(retval);
+
+    return retval;
+}
+
+/**
+ * Changes the process-wide settings of this library. Debug mode can also be
+ * turned on by setting the CFPROTECTED_DEBUG environment variable before the
+ * library is loaded.
+ * @param {object} options The settings to change.
+ * @param {boolean} [options.debug] Whether to report every call to share(),
+ * every shadowed member, every `$uper` resolution and every read and write
+ * through an accessor object, and to warn about likely misuse of share().
+ * @param {Function|null} [options.logger] Receives each event of the debug
+ * mode as a frozen object with a `type` and a `message`. If null, events are
+ * written to the console.
+ */
+function configure(options) {
+    if (!options || (typeof(options) != "object")) {
+        throw new TypeError(`Expected options to be an object.`);
+    }
+    if (("logger" in options) && (options.logger !== null) && (typeof(options.logger) != "function")) {
+        throw new TypeError(`Expected logger to be a function or null.`);
+    }
+
+    if ("debug" in options) {
+        debugging.enabled = !!options.debug;
+    }
+    if ("logger" in options) {
+        debugging.logger = options.logger;
+    }
+}
+
+/**
+ * Binds the class instance to itself to allow code to selectively avoid Proxy
+ * issues, especially ones involving private fields. Also binds the class
+ * constructor to the instance for static referencing as "cla$$".
+ * @param {object} self The current class instance as seen from the constructor.
+ * @param {string} name The name of the field on which to bind the instance.
+ */
+function saveSelf(self, name) {
+    Object.defineProperty(self, name, {value: self});
+    if ((typeof(self) == "function") && (typeof(self.prototype) == "object") && !Object.hasOwn(self.prototype, "cla$$")) {
+        Object.defineProperty(self.prototype, "cla$$", {value: self.prototype.constructor, configurable: true});
+    }
+}
+
+/**
+ * Marks the property as a shared, overrideable accessor and defines the 
+ * getter and setter methods for it.
+ * @param {object} desc Object containing get and/or set definitions for the
+ * accessor.
+ * @returns {object} A tagged object that will be used to create the access
+ * bindings for the property.
+ */
+function accessor(desc) {
+    if ((typeof(desc) == "object") &&
+        (("get" in desc) || ("set" in desc))) {
+        return {
+            [ACCESSOR]: undefined,
+            get: desc.get,
+            set: desc.set
+        }
+    }
+}
+
+/**
+ * Marks a shared data member as read only. Writes to the member through the
+ * accessor object of any class will throw a TypeError. Descendant classes can
+ * still shadow the member with their own call to share().
+ * @param {*} value The value of the shared member.
+ * @returns {object} A tagged object that will be used to create the read only
+ * shared member.
+ */
+function readonly(value) {
+    return {
+        [READONLY]: undefined,
+        value
+    };
+}
+
+/**
+ * Marks a shared member as writable only by the class declaring it. The
+ * accessor object of the declaring class receives both a getter and a setter
+ * for the member, while the accessor objects of descendant classes only
+ * receive a getter.
+ * @param {*} value The value of the shared member.
+ * @returns {object} A tagged object that will be used to create the shared
+ * member.
+ */
+function protectedRead(value) {
+    return {
+        [PROTECTED_READ]: undefined,
+        value
+    };
+}
+
+/**
+ * Marks a shared member as intentionally shadowing a member declared by an
+ * ancestor class. The call to share() throws if no ancestor declares it.
+ * @param {*} value The value of the shared member. This can be the result of
+ * accessor() or any other marker.
+ * @returns {object} A tagged object that will be used to create the shared
+ * member.
+ */
+function override(value) {
+    return {
+        [OVERRIDE]: undefined,
+        value
+    };
+}
+
+/**
+ * Marks a shared member as final. Any call to share() from a descendant class
+ * that redefines the member throws.
+ * @param {*} value The value of the shared member. This can be the result of
+ * accessor() or any other marker.
+ * @returns {object} A tagged object that will be used to create the shared
+ * member.
+ */
+function sealedMember(value) {
+    return {
+        [SEALED]: undefined,
+        value
+    };
+}
+
+/**
+ * @typedef TraitSpec
+ * @property {Function} trait A function taking a base class and returning a
+ * class that extends it.
+ * @property {(string|symbol)[]} [exclude] Keys of the trait's shared members
+ * that should not be registered.
+ * @property {object} [alias] Maps keys of the trait's shared members to the
+ * names they should be registered under.
+ */
+
+/**
+ * Composes a class from a base class and a list of traits. Each trait is a
+ * function taking a base class and returning a class that extends it, and can
+ * declare its own shared members with share(). A shared member declared by
+ * more than one trait of the same composition causes share() to throw unless
+ * it is excluded from or aliased in one of the traits, or marked with
+ * override().
+ * @param {Constructor} base The class to extend.
+ * @param {...(Function|TraitSpec)} traitList The traits to apply, in order.
+ * @returns {Constructor} The composed class.
+ */
+function mixin(base, ...traitList) {
+    if (typeof(base) != "function") {
+        throw new TypeError(`Expected base to be a function.`);
+    }
+
+    let composition = { base };
+    let retval = base;
+
+    for (let spec of traitList) {
+        let { trait, exclude = [], alias = {} } = (typeof(spec) == "function")
+            ? { trait: spec }
+            : (spec || {});
+
+        if (typeof(trait) != "function") {
+            throw new TypeError(`Expected each trait to be a function.`);
+        }
+
+        let klass = trait(retval);
+        if ((typeof(klass) != "function") || (Object.getPrototypeOf(klass) !== retval)) {
+            throw new TypeError(`Trait ${trait.name} must return a class extending the class it is given.`);
+        }
+
+        traits.set(klass, {
+            composition,
+            exclude: new Set(exclude),
+            alias: new Map(getAllOwnKeys(alias).map(k => [k, alias[k]]))
+        });
+        retval = klass;
+    }
+
+    return retval;
+}
+
+/**
+ * Marks a shared data member as lazy. The factory runs on the first read of
+ * the member, bound to the instance, and its result is kept as the value of
+ * the member from then on. Since the first read normally happens after the
+ * constructors have run, the factory sees the members of descendant classes.
+ * @param {Function} factory Produces the value of the member. It receives the
+ * accessor object of the class declaring the member.
+ * @returns {object} A tagged object that will be used to create the shared
+ * member.
+ */
+function lazy(factory) {
+    if (typeof(factory) != "function") {
+        throw new TypeError(`lazy parameter must be a function`);
+    }
+
+    return {
+        [LAZY]: undefined,
+        value: factory
+    };
+}
+
+/**
+ * Marks a shared data member as needing a custom copy when it is captured by
+ * snapshot() or copied by restore() and cloneProtected().
+ * @param {*} value The value of the shared member.
+ * @param {Function} clone Receives the value being copied and returns the
+ * copy.
+ * @returns {object} A tagged object that will be used to create the shared
+ * member.
+ */
+function cloneWith(value, clone) {
+    if (typeof(clone) != "function") {
+        throw new TypeError(`cloneWith clone parameter must be a function`);
+    }
+
+    return {
+        [CLONE]: undefined,
+        value,
+        clone
+    };
+}
+
+/**
+ * Marks a shared data member as excluded from snapshot(), restore() and
+ * cloneProtected(). Restoring an instance leaves the member as it was.
+ * @param {*} value The value of the shared member.
+ * @returns {object} A tagged object that will be used to create the shared
+ * member.
+ */
+function transient(value) {
+    return {
+        [CLONE]: undefined,
+        value,
+        clone: null
+    };
+}
+
+/**
+ * Marks a shared method as a post-construction hook. Hooks are only called for
+ * instances of classes wrapped with lifecycle(). The method remains an
+ * ordinary shared member as well.
+ * @param {Function} fn The hook. It receives the accessor object of the class
+ * declaring it.
+ * @returns {object} A tagged object that will be used to create the shared
+ * member.
+ */
+function postConstruct(fn) {
+    if (typeof(fn) != "function") {
+        throw new TypeError(`postConstruct parameter must be a function`);
+    }
+
+    return {
+        [POST_CONSTRUCT]: undefined,
+        value: fn
+    };
+}
+
+/**
+ * A class wrapper that calls the post-construction hooks of an instance
+ * exactly once, after its construction has completed. Hooks are declared as
+ * shared members marked with postConstruct() and run in order from the most
+ * distant ancestor to the most derived class. Construction is complete when
+ * the constructor of the lifecycle() wrapper around the class being
+ * instantiated returns. Since no other point in time reliably follows the
+ * constructor of a descendant, constructing a descendant that was not wrapped
+ * with lifecycle() as well throws a TypeError.
+ * @param {Constructor} klass The constructor of the current class.
+ * @returns {Constructor} An extended class that runs the hooks.
+ */
+function lifecycle(klass) {
+    if (typeof(klass) != "function") {
+        throw new TypeError(`lifecycle parameter must be a function`);
+    }
+
+    let name = klass.name ? klass.name : "";
+    let retval = class extends klass {
+        constructor (...args) {
+            let completer = findCompleter(new.target);
+            if (!completer) {
+                throw new TypeError(`Class ${new.target.name} must be wrapped with lifecycle() since it extends class ${name}`);
+            }
+
+            super(...args);
+            if (!hooked.has(this)) {
+                hooked.add(this);
+                whenConstructed(this, () => runPostConstruct(this));
+            }
+            if (autoLocked.has(retval)) {
+                pendingLocks.add(this);
+            }
+            if (completer === retval) {
+                completeConstruction(this);
+            }
+        }
+    };
+
+    lifecycles.add(retval);
+    linkWrapper(klass, retval);
+
+    return retval;
+}
+
+/**
+ * Finds the descriptor of a property anywhere on the prototype chain of the
+ * given object.
+ * @param {object} obj The object to search.
+ * @param {string|symbol} key The name of the property.
+ * @returns {PropertyDescriptor|undefined}
+ */
+function findDescriptor(obj, key) {
+    let retval;
+    while (obj && !(retval = Object.getOwnPropertyDescriptor(obj, key))) {
+        obj = Object.getPrototypeOf(obj);
+    }
+    return retval;
+}
+
+/**
+ * Lists the public requirements of an interface that are not met.
+ * @param {object} spec The requirements of the interface.
+ * @param {object} target The prototype or instance that should provide the
+ * methods and accessors.
+ * @param {Function} klass The class that should provide the static members.
+ * @returns {string[]} A description of each missing member.
+ */
+function missingPublic(spec, target, klass) {
+    let retval = [];
+
+    for (let key of spec.methods) {
+        if (typeof(findDescriptor(target, key)?.value) != "function") {
+            retval.push(`method ${String(key)}`);
+        }
+    }
+    for (let key of spec.accessors) {
+        if (!findDescriptor(target, key)) {
+            retval.push(`accessor ${String(key)}`);
+        }
+    }
+    for (let key of spec.statics) {
+        if (!klass || !(key in klass)) {
+            retval.push(`static ${String(key)}`);
+        }
+    }
+
+    return retval;
+}
+
+/**
+ * Lists the shared member requirements of an interface that are not met.
+ * @param {object} spec The requirements of the interface.
+ * @param {object|null} record The memo record of the most derived registered
+ * class of the instance.
+ * @returns {string[]} A description of each missing member.
+ */
+function missingShared(spec, record) {
+    return [...spec.shared]
+        .filter(key => !hasAncestorMember(record, key))
+        .map(key => `shared ${String(key)}`);
+}
+
+/**
+ * @typedef InterfaceSpec
+ * @property {string} name The name of the interface.
+ * @property {object[]} [extends] Interfaces whose requirements are included.
+ * @property {(string|symbol)[]} [methods] Required public methods.
+ * @property {(string|symbol)[]} [accessors] Required public properties.
+ * @property {(string|symbol)[]} [statics] Required static members.
+ * @property {(string|symbol)[]} [shared] Required members declared through
+ * share().
+ */
+
+/**
+ * Creates a runtime interface. Interfaces are attached to classes with
+ * implement(), and `instanceof` checks whether an object structurally
+ * satisfies every requirement of the interface.
+ * @param {InterfaceSpec} spec The description of the interface.
+ * @returns {object} The interface.
+ */
+function defineInterface(spec) {
+    if (!spec || (typeof(spec) != "object") || (typeof(spec.name) != "string")) {
+        throw new TypeError(`Expected spec to be an object with a name.`);
+    }
+
+    let requirements = {
+        name: spec.name,
+        methods: new Set(spec.methods),
+        accessors: new Set(spec.accessors),
+        statics: new Set(spec.statics),
+        shared: new Set(spec.shared)
+    };
+
+    for (let base of spec.extends || []) {
+        if (!interfaces.has(base)) {
+            throw new TypeError(`Interface ${spec.name} can only extend interfaces.`);
+        }
+        let inherited = interfaces.get(base);
+        for (let kind of ["methods", "accessors", "statics", "shared"]) {
+            inherited[kind].forEach(key => requirements[kind].add(key));
+        }
+    }
+
+    let retval = Object.freeze({
+        name: spec.name,
+        [Symbol.hasInstance](obj) {
+            let isObject = !!obj && ["function", "object"].includes(typeof(obj));
+            return isObject
+                && !missingPublic(requirements, obj, obj.constructor).length
+                && !missingShared(requirements, findRecord(unwrapMembrane(obj))).length;
+        }
+    });
 
-    //Save the inheritance & protected data
-    memos.get(klass).set(inst, {
-        data: protData,
-        inheritance: retval,
-        $uper: retval.$uper
-    });    
+    interfaces.set(retval, requirements);
 
     return retval;
 }
 
 /**
- * Binds the class instance to itself to allow code to selectively avoid Proxy
- * issues, especially ones involving private fields. Also binds the class
- * constructor to the instance for static referencing as "cla$$".
- * @param {object} self The current class instance as seen from the constructor.
- * @param {string} name The name of the field on which to bind the instance.
+ * A class wrapper that attaches interfaces to the current class. Missing
+ * public methods, accessors and static members are reported immediately.
+ * Missing shared members are reported when the class is first constructed,
+ * once the class and its ancestors have registered their shared members.
+ * @param {Constructor} klass The constructor of the current class.
+ * @param {...object} ifaces The interfaces created by defineInterface().
+ * @returns {Constructor} An extended class that verifies the shared members.
  */
-function saveSelf(self, name) {
-    Object.defineProperty(self, name, {value: self});
-    if ((typeof(self) == "function") && (typeof(self.prototype) == "object") && !Object.hasOwn(self.prototype, "cla$$")) {
-        Object.defineProperty(self.prototype, "cla$$", {value: self.prototype.constructor, configurable: true});
+function implement(klass, ...ifaces) {
+    if (typeof(klass) != "function") {
+        throw new TypeError(`implement parameter must be a function`);
+    }
+    if (ifaces.some(iface => !interfaces.has(iface))) {
+        throw new TypeError(`Expected each interface to be created by defineInterface().`);
     }
-}
 
-/**
- * Marks the property as a shared, overrideable accessor and defines the 
- * getter and setter methods for it.
- * @param {object} desc Object containing get and/or set definitions for the
- * accessor.
- * @returns {object} A tagged object that will be used to create the access
- * bindings for the property.
- */
-function accessor(desc) {
-    if ((typeof(desc) == "object") &&
-        (("get" in desc) || ("set" in desc))) {
-        return {
-            [ACCESSOR]: undefined,
-            get: desc.get,
-            set: desc.set
+    let name = klass.name ? klass.name : "";
+
+    /**
+     * Throws if the class is missing members required by the interfaces.
+     * @param {Function} describe Lists the missing members of an interface.
+     */
+    function verify(describe) {
+        let missing = ifaces
+            .map(iface => [iface.name, describe(interfaces.get(iface))])
+            .filter(([, list]) => list.length)
+            .map(([ifaceName, list]) => `${ifaceName} (${list.join(", ")})`);
+
+        if (missing.length) {
+            throw new TypeError(`Class ${name} does not implement ${missing.join("; ")}`);
         }
     }
+
+    verify(spec => missingPublic(spec, klass.prototype, klass));
+
+    let verified = false;
+    let retval = class extends klass {
+        constructor (...args) {
+            super(...args);
+            if (!verified) {
+                verify(spec => missingShared(spec, findRecord(this)));
+                verified = true;
+            }
+        }
+    };
+
+    linkWrapper(klass, retval);
+
+    return retval;
 }
 
 /**
  * A class wrapper that blocks construction of an instance if the class being
- * instantiated is not a descendant of the current class.
- * @param {Constructor|string} klass If a function, the constructor of the current
- * class. If a string, the name of the function being abstracted.
+ * instantiated is not a descendant of the current class. Construction also
+ * fails if a prototype method created with abstract() has not been
+ * overridden, or if a shared member created with abstract() has not been
+ * shadowed once the instance is constructed. Since only a lifecycle() wrapper
+ * reliably follows the constructor of a descendant, instantiating a class
+ * that is left to shadow abstract shared members throws a TypeError unless
+ * that class is wrapped with lifecycle(). Also usable as a class or method
+ * decorator.
+ * @param {Constructor|Function|string} klass If a class, the constructor of
+ * the current class. If a string, the name of the function being abstracted.
+ * @param {object} [context] The decorator context, when used as a decorator.
  * @returns {Function} Either an extended class that denies direct construction
  * or a function that immediately throws.
  */
-function abstract(klass) {
+function abstract(klass, context) {
     let retval;
-    if (typeof(klass) == "function") {
+    if (context && !["class", "method"].includes(context.kind)) {
+        throw new TypeError(`abstract can only decorate classes and methods`);
+    }
+
+    if (context?.kind == "method") {
+        retval = abstract(String(context.name));
+    }
+    else if (typeof(klass) == "function") {
         let name = klass.name ? klass.name : "";
         retval = class extends klass {
             constructor (...args) {
                 if (new.target === retval) {
                     throw new TypeError(`Class constructor ${name} is abstract and cannot be directly invoked with 'new'`);
                 }
+                let target = unwrap(new.target).name;
+                verifyAbstractMethods(new.target.prototype, target);
                 super(...args);
+
+                //Abstract shared members left to descendants can only be
+                //checked once the class being instantiated has run its
+                //constructor, and only a lifecycle() wrapper returns then.
+                let missing = findAbstract(this);
+                if (missing.size && !findCompleter(new.target)) {
+                    throw new TypeError(`Class ${target} must be wrapped with lifecycle() to verify that it overrides abstract members: ${[...missing].join(", ")}`);
+                }
+                whenConstructed(this, () => verifyAbstract(this, target));
             }
         };
 
-        if (memos.has(klass)) {
-            let memo = memos.get(klass);
-            memos.set(retval, memo);
-            memo.set(retval, memo.get(klass));
-        }
+        linkWrapper(klass, retval);
     }
     else if (typeof(klass) == "string") {
         retval = function() {
             throw new TypeError(`${klass}() must be overridden`);
         }
+        abstractMembers.set(retval, klass);
     }
     else {
         throw new TypeError(`abstract parameter must be a function or string`)
@@ -253,70 +2386,430 @@ function abstract(klass) {
     return retval;
 };
 
+/**
+ * Registers a membrane class wrapper and makes it the `constructor` of the
+ * prototype it shares with the wrapped class. This replaces
+ * `klass.prototype.constructor`, so that code such as `new inst.constructor()`
+ * goes through the checks of the wrapper instead of reaching the wrapped
+ * class directly.
+ * @param {Function} klass The constructor function being wrapped.
+ * @param {Function} wrapper The membrane() around klass.
+ */
+function adoptPrototype(klass, wrapper) {
+    Object.defineProperty(klass.prototype, "constructor", { value: wrapper });
+    linkWrapper(klass, wrapper);
+}
+
 /**
  * A class wrapper that blocks construction of an instance if the class being
- * constructed is a descendant of the current class. It also attempts to block
- * extending the targeted class.
+ * constructed is a descendant of the current class. Descendant classes can
+ * still be defined, but none of them can ever be instantiated. The returned
+ * constructor is a membrane around the current class, so it keeps the
+ * prototype of the class, `instanceof` works as usual, and static members
+ * remain able to reach static private fields. The prototype of the class
+ * reports the returned constructor as its `constructor`. Also usable as a
+ * class decorator.
  * @param {Constructor} klass The constructor of the current class.
+ * @param {object} [context] The decorator context, when used as a decorator.
  */
-function final(klass) {
-    /**
-     * Replaces the first parameter in the args list with the given class (klass)
-     * and calls the original method to bypass 
-     * @param {string} fname Name of the ProxyHandler method being called.
-     * @param {any[]} args Arguments to the ProxyHandler method
-     * @returns {any}
-     */
-    function handleDefault(fname, args) {
-        args.shift();
-        args.unshift(klass);
-        return Reflect[fname](...args);
+function final(klass, context) {
+    if (context && (context.kind != "class")) {
+        throw new TypeError(`final can only decorate classes`);
     }
 
-    let retval = new Proxy(function() {}, {
-        construct(_, args, newTarget) {
+    let retval = membrane(klass, {
+        construct(target, args, newTarget) {
             if (newTarget !== retval) {
                 throw new TypeError("Cannot create an instance of a descendant of a final class");
             }
-            let inst = Reflect.construct(klass, args, newTarget);
-            let proto = Object.create(klass.prototype, {
-                constructor: {
-                    enumerable: true,
-                    configurable: true,
-                    writable: true,
-                    value: retval
+            return Reflect.construct(target, args, newTarget);
+        }
+    });
+
+    adoptPrototype(klass, retval);
+
+    return retval;
+};
+
+/**
+ * A class wrapper that gives the current class a protected constructor. Code
+ * outside of the class cannot instantiate it with `new`, while the class' own
+ * static methods (using `new this()` or the class' own name) and the
+ * constructors of descendant classes still can. Like final(), the returned
+ * constructor is a membrane around the current class and replaces the
+ * `constructor` of its prototype.
+ * @param {Constructor} klass The constructor of the current class.
+ * @returns {Constructor} The wrapped class.
+ */
+function factoryOnly(klass) {
+    if (typeof(klass) != "function") {
+        throw new TypeError(`factoryOnly parameter must be a function`);
+    }
+
+    let name = klass.name ? klass.name : "";
+    let retval = membrane(klass, {
+        construct(target, args, newTarget) {
+            if (newTarget === retval) {
+                throw new TypeError(`Class constructor ${name} is protected and can only be invoked by the class itself or its descendants`);
+            }
+            return Reflect.construct(target, args, newTarget);
+        }
+    });
+
+    adoptPrototype(klass, retval);
+
+    return retval;
+}
+
+/**
+ * @typedef SingletonOptions
+ * @property {string} [mode] Either "reuse" (the default), to return the one
+ * instance from every later `new`, or "throw", to throw from every later
+ * `new`.
+ * @property {string} [subclasses] Either "deny" (the default), to block
+ * construction through descendant classes, or "allow", to let descendant
+ * classes construct their own instances.
+ */
+
+/**
+ * A class wrapper that only ever lets one instance of the current class be
+ * constructed with `new`. Like final(), the returned constructor is a membrane
+ * around the current class and replaces the `constructor` of its prototype.
+ * Static methods run against the current class itself, so they must construct
+ * the instance through the returned constructor for it to count as the one
+ * instance.
+ * @param {Constructor} klass The constructor of the current class.
+ * @param {SingletonOptions} [options] Controls repeated construction and
+ * subclassing.
+ * @returns {Constructor} The wrapped class.
+ */
+function singleton(klass, options = {}) {
+    if (typeof(klass) != "function") {
+        throw new TypeError(`singleton parameter must be a function`);
+    }
+
+    let { mode = "reuse", subclasses = "deny" } = options;
+    if (!["reuse", "throw"].includes(mode)) {
+        throw new TypeError(`Expected mode to be "reuse" or "throw".`);
+    }
+    if (!["deny", "allow"].includes(subclasses)) {
+        throw new TypeError(`Expected subclasses to be "deny" or "allow".`);
+    }
+
+    let name = klass.name ? klass.name : "";
+    let retval = membrane(klass, {
+        construct(target, args, newTarget) {
+            let inst = singletons.get(retval);
+
+            if (newTarget !== retval) {
+                if (subclasses == "deny") {
+                    throw new TypeError(`Cannot create an instance of a descendant of singleton class ${name}`);
                 }
-            });
-            Object.setPrototypeOf(inst, proto);
+                inst = Reflect.construct(target, args, newTarget);
+            }
+            else if (!inst) {
+                inst = Reflect.construct(target, args, newTarget);
+                singletons.set(retval, inst);
+            }
+            else if (mode == "throw") {
+                throw new TypeError(`Singleton class ${name} has already been instantiated`);
+            }
+
             return inst;
-        },
+        }
+    });
+
+    adoptPrototype(klass, retval);
+    singletons.set(retval, null);
+
+    return retval;
+}
+
+/**
+ * Forgets the instance of a class returned by singleton() so that the next
+ * `new` constructs a fresh one. This is mostly useful for tests.
+ * @param {Constructor} klass The class returned by singleton().
+ */
+function resetSingleton(klass) {
+    if (!singletons.has(klass)) {
+        throw new TypeError(`Expected klass to be a class returned by singleton().`);
+    }
+    singletons.set(klass, null);
+}
+
+/**
+ * Determines whether a value read from an object is one of its methods, as
+ * opposed to a function it merely holds as data. Methods of an instance are
+ * found on its prototypes, whatever syntax created them, while those of a
+ * class are its static members. Classes are never methods, so that they can
+ * still be constructed.
+ * @param {object|Function} target The instance or class that was read.
+ * @param {string|symbol} key The name of the property that was read.
+ * @param {*} value The value that was read.
+ * @returns {boolean}
+ */
+function isMethodOf(target, key, value) {
+    let holder = (typeof(target) == "function") ? target : Object.getPrototypeOf(target);
+    let desc = (typeof(value) == "function") ? findDescriptor(holder, key) : undefined;
+
+    return !!desc && (desc.value === value)
+        && (Object.getOwnPropertyDescriptor(value, "prototype")?.writable !== false);
+}
+
+/**
+ * Wraps an instance or a class in a Proxy that lets methods, accessors and
+ * static members run against the wrapped target instead of the Proxy. This
+ * keeps private fields, the accessor objects returned by share() and `$uper`
+ * working for code reached through the Proxy. Traps in the given handler
+ * still see all public property traffic. Their receiver is the target
+ * whenever the Proxy itself would have been the receiver.
+ * @param {object|Function} target The instance or class to wrap.
+ * @param {ProxyHandler<object>} [handler] Additional traps for the Proxy.
+ * @returns {object|Function} The Proxy wrapping target.
+ */
+function membrane(target, handler = {}) {
+    if (!target || !["function", "object"].includes(typeof(target))) {
+        throw new TypeError(`Expected target to be a function or an object.`);
+    }
+    if (!handler || (typeof(handler) != "object")) {
+        throw new TypeError(`Expected handler to be an object.`);
+    }
+
+    let methods = new WeakMap();
+    let unproxy = (obj) => (obj === retval) ? target : obj;
+    let reproxy = (obj) => (obj === target) ? retval : obj;
+
+    /**
+     * Wraps a method so that it runs against the target when called through
+     * the Proxy.
+     * @param {Function} fn The method to wrap.
+     * @returns {Function} The wrapped method.
+     */
+    function method(fn) {
+        if (!methods.has(fn)) {
+            methods.set(fn, function(...args) {
+                return reproxy(Reflect.apply(fn, unproxy(this), args));
+            });
+        }
+        return methods.get(fn);
+    }
+
+    let retval = new Proxy(target, {
+        ...handler,
         get(_, prop, receiver) {
-            return (prop == "prototype")
-                ? void 0
-                : Reflect.get(klass, prop, receiver);
+            let value = handler.get
+                ? handler.get(target, prop, unproxy(receiver))
+                : Reflect.get(target, prop, unproxy(receiver));
+
+            if ((receiver === retval) && isMethodOf(target, prop, value)) {
+                value = method(value);
+            }
+
+            return value;
         },
-        
-        set(...args) { return handleDefault("set", args); },
-        apply(...args) { return handleDefault("apply", args); },
-        defineProperty(...args) { return handleDefault("defineProperty", args); },
-        deleteProperty(...args) { return handleDefault("deleteProperty", args); },
-        getOwnPropertyDescriptor(...args) { return handleDefault("getOwnPropertyDescriptor", args); },
-        getPrototypeOf(...args) { return handleDefault("getPrototypeOf", args); },
-        has(...args) { return handleDefault("has", args); },
-        isExtensible(...args) { return handleDefault("isExtensible", args); },
-        ownKeys(...args) { return handleDefault("ownKeys", args); },
-        preventExtensions(...args) { return handleDefault("preventExtensions", args); },
-        setPrototypeOf(...args) { return handleDefault("setPrototypeOf", args); }
-    });        
+        set(_, prop, value, receiver) {
+            return handler.set
+                ? handler.set(target, prop, value, unproxy(receiver))
+                : Reflect.set(target, prop, value, unproxy(receiver));
+        }
+    });
 
-    if (memos.has(klass)) {
-        let memo = memos.get(klass);
-        memos.set(retval, memo);
-        memo.set(retval, memo.get(klass));
+    membranes.set(retval, target);
+
+    return retval;
+}
+
+/**
+ * Retrieves the target wrapped by membrane().
+ * @param {*} value The Proxy returned by membrane().
+ * @returns {*} The wrapped target, or value itself if it is not a membrane.
+ */
+function unwrapMembrane(value) {
+    return membranes.has(value) ? membranes.get(value) : value;
+}
+
+/**
+ * Retrieves the permit list of a class, creating it if the class has not been
+ * sealed yet.
+ * @param {Function} klass The unwrapped constructor of the sealed class.
+ * @returns {{wrapper: ?Function, list: Map, pending: object[]}} The class
+ * returned by sealed(), if any, the permitted subclasses, and the functions
+ * given to sealed() that have not returned their subclass yet.
+ */
+function sealOf(klass) {
+    if (!seals.has(klass)) {
+        seals.set(klass, { wrapper: null, list: new Map(), pending: [] });
+    }
+
+    return seals.get(klass);
+}
+
+/**
+ * Splits a permitted subclass into the value given for the class and whether
+ * its descendants are permitted as well.
+ * @param {Function|PermitSpec} spec The permitted subclass.
+ * @returns {{klass: *, descendants: boolean}}
+ */
+function readPermit(spec) {
+    let { klass, descendants = false } = (typeof(spec) == "function")
+        ? { klass: spec }
+        : (spec || {});
+
+    return { klass, descendants: !!descendants };
+}
+
+/**
+ * Adds the subclasses listed by sealed() to the permit list, once the
+ * functions returning them can be called. A function that reaches a class
+ * which is not initialized yet throws a ReferenceError, and is called again
+ * by the next check.
+ * @param {{wrapper: Function, list: Map, pending: object[]}} seal The permit
+ * list of the sealed class.
+ * @param {string} name The name of the sealed class.
+ */
+function resolvePermits(seal, name) {
+    let pending = [];
+
+    for (let entry of seal.pending) {
+        let resolved = true;
+        let klass;
+        try {
+            klass = entry.resolve();
+        }
+        catch (e) {
+            if (!(e instanceof ReferenceError)) {
+                throw e;
+            }
+            resolved = false;
+            pending.push(entry);
+        }
+        if (resolved) {
+            addPermits(seal, name, [{ klass, descendants: entry.descendants }]);
+        }
+    }
+
+    seal.pending = pending;
+}
+
+/**
+ * Determines whether the class being instantiated is permitted to extend the
+ * given sealed class.
+ * @param {{wrapper: Function, list: Map, pending: object[]}} seal The permit
+ * list of the sealed class.
+ * @param {string} name The name of the sealed class.
+ * @param {Function} target The class being instantiated.
+ * @returns {boolean}
+ */
+function isPermitted(seal, name, target) {
+    let { wrapper, list } = seal;
+    let retval = (target === wrapper);
+    let direct = true;
+
+    if (!retval && seal.pending.length) {
+        resolvePermits(seal, name);
+    }
+
+    for (let k = target; !retval && k && (k !== wrapper); k = Object.getPrototypeOf(k)) {
+        let entry = list.get(unwrap(k));
+        retval = !!entry && (Object.getPrototypeOf(k) === wrapper) && (direct || entry.descendants);
+        direct = false;
     }
 
     return retval;
-};
+}
+
+/**
+ * Adds subclasses to a permit list.
+ * @param {{wrapper: ?Function, list: Map}} seal The permit list of the sealed
+ * class.
+ * @param {string} name The name of the sealed class.
+ * @param {Array<Constructor|PermitSpec>} permitted The subclasses allowed to
+ * extend the sealed class.
+ */
+function addPermits(seal, name, permitted) {
+    for (let spec of permitted) {
+        let { klass: sub, descendants } = readPermit(spec);
+
+        if (typeof(sub) != "function") {
+            throw new TypeError(`Expected each permitted subclass to be a class.`);
+        }
+        if (Object.getPrototypeOf(sub) !== seal.wrapper) {
+            throw new TypeError(`Class ${sub.name} does not directly extend sealed class ${name}`);
+        }
+
+        seal.list.set(unwrap(sub), { descendants });
+    }
+}
+
+/**
+ * @typedef PermitSpec
+ * @property {Function} klass The permitted subclass. When given to sealed(),
+ * a function returning the subclass instead, since the subclass cannot be
+ * defined before the sealed class.
+ * @property {boolean} [descendants] If true, descendants of the permitted
+ * subclass may also be instantiated.
+ */
+
+/**
+ * A class wrapper that blocks construction of an instance if the class being
+ * instantiated is a descendant of the current class that was not explicitly
+ * permitted to extend it.
+ * @param {Constructor} klass The constructor of the current class.
+ * @param {...(Function|PermitSpec)} permitted The subclasses allowed to
+ * extend the current class. Since subclasses cannot be defined before the
+ * sealed class, each is given as a function returning it, such as
+ * `() => Square`. The functions are called when a descendant is first
+ * instantiated. Names are not accepted, since any class can take a name.
+ * @returns {Constructor} An extended class that denies construction through
+ * descendants that were not permitted.
+ */
+function sealed(klass, ...permitted) {
+    if (typeof(klass) != "function") {
+        throw new TypeError(`sealed parameter must be a function`);
+    }
+
+    let name = klass.name ? klass.name : "";
+    let seal = sealOf(unwrap(klass));
+    for (let spec of permitted) {
+        let { klass: resolve, descendants } = readPermit(spec);
+        if (typeof(resolve) != "function") {
+            throw new TypeError(`Expected each permitted subclass to be given as a function returning it, such as () => Subclass.`);
+        }
+        seal.pending.push({ resolve, descendants });
+    }
+
+    let retval = class extends klass {
+        constructor (...args) {
+            if (!isPermitted(seal, name, new.target)) {
+                throw new TypeError(`Class ${new.target.name} is not permitted to extend sealed class ${name}`);
+            }
+            super(...args);
+        }
+    };
+
+    linkWrapper(klass, retval);
+    seal.wrapper = retval;
+
+    return retval;
+}
+
+/**
+ * Adds subclasses to the list of classes permitted to extend a sealed class.
+ * Only the sealed class can do this. It proves its identity with one of the
+ * accessor objects share() returned to it.
+ * @param {object} shared An accessor object share() returned to the sealed
+ * class.
+ * @param {...(Constructor|PermitSpec)} permitted The subclasses allowed to
+ * extend the sealed class.
+ */
+function permit(shared, ...permitted) {
+    let record = findAccessorRecord(shared, true);
+    if (!record) {
+        throw new TypeError(`Expected shared to be an accessor object returned by share().`);
+    }
+
+    addPermits(sealOf(unwrap(record.klass)), record.klass.name, permitted);
+}
 
 /**
  * Adds specified definitions to the class prototype. All supplied definitions will
@@ -358,4 +2851,170 @@ function define(tgt, defs) {
     Object.defineProperties(tgt.prototype, defs);
 }
 
-module.exports = { share, saveSelf, accessor, abstract, final, define };
+/**
+ * Copies a section of a declare() spec, binding every function in it to the
+ * given context object. Functions inside markers such as accessor() or lazy()
+ * are bound as well, and plain data values are cloned so that instances do
+ * not share them by accident.
+ * @param {object} section The section of the spec.
+ * @param {Function} bind Binds a function to the context.
+ * @returns {object} The descriptors of the bound members.
+ */
+function bindSection(section, bind) {
+    let bindValue = (value) => {
+        let retval = value;
+
+        if ((typeof(value) == "function") && !abstractMembers.has(value)) {
+            retval = bind(value);
+        }
+        else if (isMarked(value, ACCESSOR)) {
+            retval = accessor({
+                get: (typeof(value.get) == "function") ? bind(value.get) : value.get,
+                set: (typeof(value.set) == "function") ? bind(value.set) : value.set
+            });
+        }
+        else if (MARKERS.some(tag => isMarked(value, tag))) {
+            retval = { ...value, value: bindValue(value.value) };
+        }
+        else {
+            retval = cloneValue(value);
+        }
+
+        return retval;
+    };
+
+    let retval = Object.getOwnPropertyDescriptors(section || {});
+    for (let key of getAllOwnKeys(retval)) {
+        let desc = retval[key];
+        if ("value" in desc) {
+            desc.value = bindValue(desc.value);
+        }
+        else {
+            useDescriptor(desc, (k) => {
+                desc[k] = bind(desc[k]);
+            });
+        }
+    }
+
+    return retval;
+}
+
+/**
+ * @typedef ClassSpec
+ * @property {string} [name] The name of the class.
+ * @property {Function} [extends] The class to extend.
+ * @property {boolean} [abstract] Whether to wrap the class with abstract().
+ * @property {boolean} [final] Whether to wrap the class with final().
+ * @property {Function} [init] Called with the constructor arguments once the
+ * instance members exist.
+ * @property {object} [public] Members defined on the prototype.
+ * @property {object} [protected] Members shared with descendant classes.
+ * @property {object} [private] Members only reachable by this class.
+ * @property {{public?: object, protected?: object, private?: object}} [static]
+ * The same sections for the static side of the class.
+ */
+
+/**
+ * Builds a class from a declarative description. Every function in the spec
+ * is called with a context object as `this`, holding the instance or class as
+ * `self`, the accessor object returned by share() as `protected`, and the
+ * private members as `private`.
+ * @param {ClassSpec} spec The description of the class.
+ * @returns {Constructor} The class.
+ */
+function declare(spec) {
+    if (!spec || (typeof(spec) != "object")) {
+        throw new TypeError(`Expected spec to be an object.`);
+    }
+    if (("name" in spec) && (typeof(spec.name) != "string")) {
+        throw new TypeError(`Expected spec.name to be a string.`);
+    }
+    if (("extends" in spec) && (typeof(spec.extends) != "function")) {
+        throw new TypeError(`Expected spec.extends to be a function.`);
+    }
+    if (("init" in spec) && (typeof(spec.init) != "function")) {
+        throw new TypeError(`Expected spec.init to be a function.`);
+    }
+    if (spec.abstract && spec.final) {
+        throw new TypeError(`Class ${spec.name || ""} cannot be both abstract and final`);
+    }
+
+    let statics = spec.static || {};
+    for (let [section, value] of [["public", spec.public], ["protected", spec.protected], ["private", spec.private],
+        ["static.public", statics.public], ["static.protected", statics.protected], ["static.private", statics.private]]) {
+        if ((value !== void 0) && (!value || (typeof(value) != "object"))) {
+            throw new TypeError(`Expected spec.${section} to be an object.`);
+        }
+    }
+
+    let name = spec.name || "";
+    let contexts = new WeakMap();
+    let klass;
+
+    /**
+     * Sets up the members of this class for a new instance.
+     * @param {object} inst The instance under construction.
+     * @param {any[]} args The arguments given to the constructor.
+     */
+    let initialize = (inst, args) => {
+        if (!Object.hasOwn(inst, SELF)) {
+            saveSelf(inst, SELF);
+        }
+
+        let context = { self: inst, protected: null, private: {} };
+        let bind = (fn) => fn.bind(context);
+        contexts.set(inst, context);
+        Object.defineProperties(context.private, bindSection(spec.private, bind));
+        context.protected = share(inst, klass, Object.defineProperties({}, bindSection(spec.protected, bind)));
+
+        if (spec.init) {
+            spec.init.apply(context, args);
+        }
+    };
+
+    if (spec.extends) {
+        klass = ({ [name]: class extends spec.extends {
+            constructor(...args) {
+                super(...args);
+                initialize(this, args);
+            }
+        } })[name];
+    }
+    else {
+        klass = ({ [name]: class {
+            constructor(...args) {
+                initialize(this, args);
+            }
+        } })[name];
+    }
+
+    //Public methods find the context of the instance they were called on,
+    //even when called through a Proxy of the instance.
+    let forInstance = (fn) => function(...args) {
+        let context = contexts.get(this?.[SELF]);
+        if (!context) {
+            throw new TypeError(`Member of class ${name} called on an object that is not a ${name}`);
+        }
+        return fn.apply(context, args);
+    };
+    define(klass, bindSection(spec.public, forInstance));
+
+    let staticContext = { self: klass, protected: null, private: {} };
+    let bindStatic = (fn) => fn.bind(staticContext);
+    Object.defineProperties(staticContext.private, bindSection(statics.private, bindStatic));
+    staticContext.protected = share(klass, Object.defineProperties({}, bindSection(statics.protected, bindStatic)));
+    Object.defineProperties(klass, bindSection(statics.public, bindStatic));
+
+    let retval = klass;
+    if (spec.abstract) {
+        retval = abstract(klass);
+    }
+    else if (spec.final) {
+        retval = final(klass);
+    }
+    staticContext.self = retval;
+
+    return retval;
+}
+
+module.exports = { share, saveSelf, accessor, abstract, final, define, friend, protectedOf, describeShared, readonly, protectedRead, override, sealedMember, mixin, sealed, permit, membrane, unwrapMembrane, postConstruct, lifecycle, factoryOnly, singleton, resetSingleton, defineInterface, implement, watch, batch, lazy, snapshot, restore, cloneProtected, cloneWith, transient, lockShared, isLocked, autoLock, protectedMember, declare, configure };
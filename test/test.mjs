@@ -1,4 +1,7 @@
-import { share, saveSelf, accessor, abstract, final, define } from "../index.mjs";
+import { share, saveSelf, accessor, abstract, final, define, friend, protectedOf, describeShared, readonly, protectedRead, override, sealedMember, mixin, sealed, permit, membrane, unwrapMembrane, postConstruct, lifecycle, factoryOnly, singleton, resetSingleton, defineInterface, implement, watch, batch, lazy, snapshot, restore, cloneProtected, cloneWith, transient, lockShared, isLocked, autoLock, protectedMember, declare, configure } from "../index.mjs";
+import cjs from "../index.js";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
 
 describe('CFProtected Library', () => {
 
@@ -128,6 +131,27 @@ describe('CFProtected Library', () => {
         }
         expect(A.getShared().val).toBe(1);
     });
+
+    test('should reject classes outside the construction chain of the instance', () => {
+      class Unrelated {}
+      expect(() => share(new Unrelated(), Base, {})).toThrow("Class Base cannot share members with an instance of class Unrelated, which does not inherit from it");
+      expect(() => share(new Base(), Sub, {})).toThrow("Class Sub cannot share members with an instance of class Base, which does not inherit from it");
+      expect(() => share(Sub, Base, {})).toThrow("Class Base cannot share static members with class Sub. Use share(Base, members) instead.");
+    });
+
+    test('should reject sharing twice from the same class level', () => {
+      class Twice {
+        #prot = share(this, Twice, { value: 1 });
+        static #sprot = share(this, { value: 1 });
+      }
+      expect(() => share(new Twice(), Twice, { value: 2 })).toThrow("Class Twice has already shared members with this instance of class Twice");
+      expect(() => share(Twice, { value: 2 })).toThrow("Class Twice has already shared its static members");
+      class Again extends Twice {
+        #prot = share(this, Again, {});
+        #again = share(this, Again, {});
+      }
+      expect(() => new Again()).toThrow("Class Again has already shared members with this instance of class Again");
+    });
   });
 
   describe('saveSelf()', () => {
@@ -170,66 +194,2097 @@ describe('CFProtected Library', () => {
     });
   });
 
-  describe('abstract()', () => {
-    const A = abstract(class A {});
-    class B extends A {}
+  describe('readonly()', () => {
+    class Base {
+      static #shared = share(this, { version: readonly(1) });
+      #prot = share(this, Base, {
+        theAnswer: readonly(42),
+        mutable: 0
+      });
 
-    test('should throw when directly instantiating an abstract class', () => {
-      expect(() => new A()).toThrow(TypeError);
-      expect(() => new A()).toThrow("Class constructor A is abstract and cannot be directly invoked with 'new'");
+      static getShared() { return this.#shared; }
+      getProt() { return this.#prot; }
+    }
+
+    class Sub extends Base {
+      #prot = share(this, Sub, {});
+      getSubProt() { return this.#prot; }
+    }
+
+    class Shadow extends Base {
+      #prot = share(this, Shadow, { theAnswer: 0 });
+      getShadowProt() { return this.#prot; }
+    }
+
+    test('should read the value of a read only member', () => {
+      expect(new Base().getProt().theAnswer).toBe(42);
+      expect(new Sub().getSubProt().theAnswer).toBe(42);
     });
 
-    test('should not throw when instantiating a derived class', () => {
-      expect(() => new B()).not.toThrow();
+    test('should throw when writing through the accessor object of the owning class', () => {
+      const prot = new Base().getProt();
+      expect(() => { prot.theAnswer = 0; }).toThrow(TypeError);
+      expect(() => { prot.theAnswer = 0; }).toThrow("Cannot assign to read only shared member theAnswer of class Base");
+      expect(prot.theAnswer).toBe(42);
     });
 
-    test('should create a function that throws when given a string', () => {
-        const abstractFn = abstract('myFunc');
-        expect(typeof abstractFn).toBe('function');
-        expect(() => abstractFn()).toThrow(TypeError);
-        expect(() => abstractFn()).toThrow('myFunc() must be overridden');
+    test('should throw when writing through the accessor object of a descendant', () => {
+      const prot = new Sub().getSubProt();
+      expect(() => { prot.theAnswer = 0; }).toThrow("Cannot assign to read only shared member theAnswer of class Base");
     });
 
-    test('should throw a TypeError for invalid input', () => {
-        expect(() => abstract(123)).toThrow(TypeError);
-        expect(() => abstract(123)).toThrow('abstract parameter must be a function or string');
+    test('should leave other members writable', () => {
+      const prot = new Sub().getSubProt();
+      prot.mutable = 5;
+      expect(prot.mutable).toBe(5);
     });
-    
-    test('should handle classes without names', () => {
-        const NoName = abstract(class {});
-        expect(() => new NoName()).toThrow("Class constructor  is abstract and cannot be directly invoked with 'new'");
+
+    test('should allow descendants to shadow a read only member', () => {
+      const inst = new Shadow();
+      inst.getShadowProt().theAnswer = 7;
+      expect(inst.getShadowProt().theAnswer).toBe(7);
+      expect(inst.getProt().theAnswer).toBe(7);
+    });
+
+    test('should protect static shared members', () => {
+      expect(Base.getShared().version).toBe(1);
+      expect(() => { Base.getShared().version = 2; }).toThrow(TypeError);
     });
   });
 
-  describe('final()', () => {
-    const F = final(class F {});
-    
-    test('should allow direct instantiation', () => {
-        expect(() => new F()).not.toThrow();
+  describe('protectedRead()', () => {
+    class Base {
+      #prot = share(this, Base, {
+        count: protectedRead(0),
+        increment: () => { this.#prot.count++; }
+      });
+
+      getProt() { return this.#prot; }
+    }
+
+    class Sub extends Base {
+      #prot = share(this, Sub, {});
+      getSubProt() { return this.#prot; }
+    }
+
+    class GrandSub extends Sub {
+      #prot = share(this, GrandSub, {});
+      getGrandSubProt() { return this.#prot; }
+    }
+
+    class Shadow extends Base {
+      #prot = share(this, Shadow, { count: 10 });
+      getShadowProt() { return this.#prot; }
+    }
+
+    test('should let the declaring class write the member', () => {
+      const inst = new Base();
+      inst.getProt().count = 5;
+      inst.getProt().increment();
+      expect(inst.getProt().count).toBe(6);
+    });
+
+    test('should only give descendants a getter', () => {
+      const inst = new GrandSub();
+      inst.getProt().increment();
+      expect(inst.getSubProt().count).toBe(1);
+      expect(inst.getGrandSubProt().count).toBe(1);
+
+      const desc = Object.getOwnPropertyDescriptor(inst.getSubProt(), "count");
+      expect(typeof desc.get).toBe("function");
+      expect(desc.set).toBeUndefined();
+      expect(() => { inst.getSubProt().count = 3; }).toThrow(TypeError);
+      expect(() => { inst.getGrandSubProt().count = 3; }).toThrow(TypeError);
+    });
+
+    test('should allow descendants to shadow the member', () => {
+      const inst = new Shadow();
+      inst.getShadowProt().count = 20;
+      expect(inst.getShadowProt().count).toBe(20);
+    });
+  });
+
+  describe('override() and sealedMember()', () => {
+    class Base {
+      #prot = share(this, Base, {
+        data: 1,
+        method: () => "base",
+        prop: accessor({ get: () => "base" }),
+        fixed: sealedMember(() => "fixed"),
+        fixedData: sealedMember(0),
+        fixedProp: sealedMember(accessor({ get: () => "fixed" }))
+      });
+    }
+
+    test('should allow overriding members declared by an ancestor', () => {
+      class Sub extends Base {
+        #prot = share(this, Sub, {
+          data: override(2),
+          method: override(() => "sub"),
+          prop: override(accessor({ get: () => "sub" }))
+        });
+        getProt() { return this.#prot; }
+      }
+      const prot = new Sub().getProt();
+      expect(prot.data).toBe(2);
+      expect(prot.method()).toBe("sub");
+      expect(prot.prop).toBe("sub");
+    });
+
+    test('should allow overriding members declared by a distant ancestor', () => {
+      class Middle extends Base {}
+      class Sub extends Middle {
+        #prot = share(this, Sub, { method: override(() => "sub") });
+        getProt() { return this.#prot; }
+      }
+      expect(new Sub().getProt().method()).toBe("sub");
     });
 
-    test('should throw when trying to extend a final class', () => {
-      // The error happens at class definition time
+    test('should throw when no ancestor declares an overridden member', () => {
+      class Typo extends Base {
+        #prot = share(this, Typo, { methd: override(() => "typo") });
+      }
+      expect(() => new Typo()).toThrow(TypeError);
+      expect(() => new Typo()).toThrow("Class Typo cannot override shared member methd that no ancestor of Typo declares");
+    });
+
+    test('should throw for overridden static members without an ancestor', () => {
       expect(() => {
-        class D extends F {}
-      }).toThrow(TypeError);
+        class Lonely {
+          static #shared = share(this, { data: override(1) });
+        }
+      }).toThrow("Class Lonely cannot override shared member data that no ancestor of Lonely declares");
     });
-    
-    test('should throw when trying to create an instance of a descendant', () => {
-        // This simulates a bypass of the extension block
-        function cheat() {
-            const D = function() {};
-            Object.setPrototypeOf(D, F);
-            Reflect.construct(F, [], D);
+
+    test('should throw when a descendant redefines a sealed member', () => {
+      class Sub extends Base {
+        #prot = share(this, Sub, { fixed: () => "broken" });
+      }
+      class SubData extends Base {
+        #prot = share(this, SubData, { fixedData: 1 });
+      }
+      class SubProp extends Base {
+        #prot = share(this, SubProp, { fixedProp: accessor({ get: () => "broken" }) });
+      }
+      expect(() => new Sub()).toThrow("Class Sub cannot redefine shared member fixed sealed by class Base");
+      expect(() => new SubData()).toThrow("Class SubData cannot redefine shared member fixedData sealed by class Base");
+      expect(() => new SubProp()).toThrow("Class SubProp cannot redefine shared member fixedProp sealed by class Base");
+    });
+
+    test('should allow descendants to read sealed members', () => {
+      class Sub extends Base {
+        #prot = share(this, Sub, {});
+        getProt() { return this.#prot; }
+      }
+      const prot = new Sub().getProt();
+      expect(prot.fixed()).toBe("fixed");
+      expect(prot.fixedProp).toBe("fixed");
+    });
+  });
+
+  describe('mixin()', () => {
+    class Base {
+      #prot = share(this, Base, {
+        name: "base",
+        describe: () => "Base"
+      });
+    }
+
+    const Named = (Super) => class Named extends Super {
+      #prot = share(this, Named, {
+        describe: override(() => `Named(${this.#prot.$uper.describe()})`),
+        label: () => `name: ${this.#prot.name}`
+      });
+      named() { return this.#prot.describe(); }
+      namedLabel() { return this.#prot.label(); }
+    };
+
+    const Counted = (Super) => class Counted extends Super {
+      #prot = share(this, Counted, {
+        count: 0,
+        label: () => `count: ${this.#prot.count}`
+      });
+      counted() { return this.#prot.label(); }
+    };
+
+    const Tagged = (Super) => class Tagged extends Super {
+      #prot = share(this, Tagged, {
+        tag: "tagged"
+      });
+      getTagProt() { return this.#prot; }
+    };
+
+    test('should compose traits with their own shared members and $uper calls', () => {
+      const Composed = mixin(Base, Named, Tagged);
+      const inst = new Composed();
+      expect(inst.named()).toBe("Named(Base)");
+      expect(inst.namedLabel()).toBe("name: base");
+      expect(inst.getTagProt().tag).toBe("tagged");
+      expect(inst instanceof Base).toBe(true);
+    });
+
+    test('should detect conflicting shared members between traits', () => {
+      const Composed = mixin(Base, Named, Counted);
+      expect(() => new Composed()).toThrow(TypeError);
+      expect(() => new Composed()).toThrow("Traits Named and Counted both declare shared member label. Exclude or alias it in one of them.");
+    });
+
+    test('should resolve conflicts by excluding a member', () => {
+      const Composed = mixin(Base, Named, { trait: Counted, exclude: ["label"] });
+      const inst = new Composed();
+      expect(inst.counted()).toBe("name: base");
+    });
+
+    test('should resolve conflicts by aliasing a member', () => {
+      const Composed = mixin(Base, Named, { trait: Counted, alias: { label: "countLabel" } }, Tagged);
+      const inst = new Composed();
+      expect(inst.namedLabel()).toBe("name: base");
+      expect(inst.counted()).toBe("count: 0");
+      expect(inst.getTagProt().countLabel()).toBe("count: 0");
+      expect(inst.getTagProt().label()).toBe("name: base");
+    });
+
+    test('should interoperate with share() on further subclasses', () => {
+      class Sub extends mixin(Base, Named) {
+        #prot = share(this, Sub, { label: () => "sub" });
+      }
+      expect(new Sub().namedLabel()).toBe("sub");
+    });
+
+    test('should interoperate with abstract() and final()', () => {
+      const Abstract = abstract(mixin(Base, Named));
+      const Final = final(class extends Abstract {});
+      expect(() => new Abstract()).toThrow(TypeError);
+      expect(() => new Final()).not.toThrow();
+    });
+
+    test('should throw TypeError for invalid traits', () => {
+      expect(() => mixin(null)).toThrow(TypeError);
+      expect(() => mixin(Base, 42)).toThrow(TypeError);
+      expect(() => mixin(Base, () => class {})).toThrow(TypeError);
+    });
+  });
+
+  describe('watch() and batch()', () => {
+    class Base {
+      #prot = share(this, Base, {
+        count: 0,
+        label: accessor({
+          get: () => this.#label,
+          set: v => { this.#label = String(v).toUpperCase(); }
+        })
+      });
+      #label = "";
+      bump() { ++this.#prot.count; }
+    }
+
+    class Sub extends Base {
+      #prot = share(this, Sub, {});
+      getProt() { return this.#prot; }
+    }
+
+    test('should report changes with the old value, the new value and the writer', () => {
+      const sub = new Sub();
+      const changes = [];
+      watch(sub.getProt(), "count", change => changes.push(change));
+      sub.bump();
+      sub.getProt().count = 5;
+      expect(changes).toEqual([
+        { key: "count", oldValue: 0, newValue: 1, writer: Base },
+        { key: "count", oldValue: 1, newValue: 5, writer: Sub }
+      ]);
+    });
+
+    test('should report changes made through accessor() setters', () => {
+      const sub = new Sub();
+      const changes = [];
+      watch(sub.getProt(), "label", change => changes.push(change.newValue));
+      sub.getProt().label = "abc";
+      expect(changes).toEqual(["ABC"]);
+    });
+
+    test('should skip assignments that do not change the value', () => {
+      const sub = new Sub();
+      let calls = 0;
+      watch(sub.getProt(), "count", () => ++calls);
+      sub.getProt().count = 0;
+      expect(calls).toBe(0);
+    });
+
+    test('should stop reporting after unsubscribing', () => {
+      const sub = new Sub();
+      let calls = 0;
+      const unwatch = watch(sub.getProt(), "count", () => ++calls);
+      sub.bump();
+      unwatch();
+      sub.bump();
+      expect(calls).toBe(1);
+    });
+
+    test('should only report changes to the watched instance', () => {
+      let calls = 0;
+      watch(new Sub().getProt(), "count", () => ++calls);
+      new Sub().bump();
+      expect(calls).toBe(0);
+    });
+
+    test('should combine the changes made during a batch', () => {
+      const sub = new Sub();
+      const changes = [];
+      watch(sub.getProt(), "count", change => changes.push(change));
+      const result = batch(() => {
+        sub.bump();
+        batch(() => sub.bump());
+        expect(changes).toEqual([]);
+        return "done";
+      });
+      expect(result).toBe("done");
+      expect(changes).toEqual([{ key: "count", oldValue: 0, newValue: 2, writer: Base }]);
+    });
+
+    test('should report every change before rethrowing errors of callbacks', () => {
+      const sub = new Sub();
+      const changes = [];
+      watch(sub.getProt(), "count", () => { throw new Error("count"); });
+      watch(sub.getProt(), "count", change => changes.push(change.key));
+      watch(sub.getProt(), "label", change => changes.push(change.key));
+      expect(() => batch(() => {
+        sub.bump();
+        sub.getProt().label = "x";
+      })).toThrow("count");
+      expect(changes).toEqual(["count", "label"]);
+
+      watch(sub.getProt(), "label", () => { throw new Error("label"); });
+      let error;
+      try {
+        batch(() => {
+          sub.bump();
+          sub.getProt().label = "y";
+        });
+      }
+      catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(AggregateError);
+      expect(error.errors.map(e => e.message)).toEqual(["count", "label"]);
+      expect(changes).toEqual(["count", "label", "count", "label"]);
+    });
+
+    test('should let errors thrown by the batched function win', () => {
+      const sub = new Sub();
+      let calls = 0;
+      watch(sub.getProt(), "count", () => { ++calls; throw new Error("watcher"); });
+      expect(() => batch(() => {
+        sub.bump();
+        throw new Error("fn");
+      })).toThrow("fn");
+      expect(calls).toBe(1);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      const prot = new Sub().getProt();
+      expect(() => watch({}, "count", () => {})).toThrow(TypeError);
+      expect(() => watch(prot, "missing", () => {})).toThrow(TypeError);
+      expect(() => watch(prot, "count", 42)).toThrow(TypeError);
+      expect(() => batch(42)).toThrow(TypeError);
+    });
+  });
+
+  describe('lazy()', () => {
+    let runs = 0;
+
+    class Base {
+      #prot = share(this, Base, {
+        name: "base",
+        greeting: lazy(function(shared) {
+          ++runs;
+          return `${this.constructor.name} says hi to ${shared.name}`;
+        })
+      });
+      getProt() { return this.#prot; }
+    }
+
+    class Derived extends Base {
+      #prot = share(this, Derived, {
+        name: "derived"
+      });
+    }
+
+    class Override extends Base {
+      #prot = share(this, Override, {
+        greeting: "hello"
+      });
+      getProt() { return this.#prot; }
+    }
+
+    test('should run the factory on first read and cache the result', () => {
+      runs = 0;
+      const prot = new Base().getProt();
+      expect(runs).toBe(0);
+      expect(prot.greeting).toBe("Base says hi to base");
+      expect(prot.greeting).toBe("Base says hi to base");
+      expect(runs).toBe(1);
+    });
+
+    test('should let the factory see members shadowed by derived classes', () => {
+      expect(new Derived().getProt().greeting).toBe("Derived says hi to derived");
+    });
+
+    test('should let derived classes override the lazy member', () => {
+      runs = 0;
+      const prot = new Override().getProt();
+      expect(prot.greeting).toBe("hello");
+      expect(runs).toBe(0);
+      expect(prot.$uper.greeting).toBe("Override says hi to base");
+      expect(runs).toBe(1);
+    });
+
+    test('should skip the factory when written before the first read', () => {
+      runs = 0;
+      const prot = new Base().getProt();
+      prot.greeting = "set early";
+      expect(prot.greeting).toBe("set early");
+      expect(runs).toBe(0);
+    });
+
+    test('should not run the factory to report the old value of a watched write', () => {
+      runs = 0;
+      const prot = new Base().getProt();
+      const changes = [];
+      watch(prot, "greeting", change => changes.push(change));
+      prot.greeting = "set early";
+      expect(runs).toBe(0);
+      prot.greeting = "set later";
+      expect(runs).toBe(0);
+      expect(changes).toEqual([
+        { key: "greeting", oldValue: undefined, newValue: "set early", writer: Base },
+        { key: "greeting", oldValue: "set early", newValue: "set later", writer: Base }
+      ]);
+    });
+
+    test('should combine with readonly()', () => {
+      class Fixed {
+        #prot = share(this, Fixed, {
+          answer: readonly(lazy(() => 42))
+        });
+        getProt() { return this.#prot; }
+      }
+      const prot = new Fixed().getProt();
+      expect(prot.answer).toBe(42);
+      expect(() => { prot.answer = 0; }).toThrow(TypeError);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => lazy(42)).toThrow(TypeError);
+    });
+  });
+
+  describe('snapshot(), restore() and cloneProtected()', () => {
+    class Base {
+      #prot = share(this, Base, {
+        items: [],
+        cache: transient(new Map()),
+        handle: cloneWith({ id: 1 }, h => ({ id: h.id + 1 })),
+        add: function(item) { this.#prot.items.push(item); }
+      });
+      getProt() { return this.#prot; }
+      add(item) { this.#prot.add(item); }
+    }
+
+    class Counter extends Base {
+      #prot = share(this, Counter, {
+        count: 0,
+        doubled: accessor({ get: () => this.#prot.count * 2 })
+      });
+      getProt() { return this.#prot; }
+      bump() { ++this.#prot.count; }
+    }
+
+    test('should restore data members to their captured values', () => {
+      const counter = new Counter();
+      counter.bump();
+      counter.add("a");
+      const snap = snapshot(counter);
+      counter.bump();
+      counter.add("b");
+      restore(counter, snap);
+      expect(counter.getProt().count).toBe(1);
+      expect(counter.getProt().items).toEqual(["a"]);
+      expect(Object.isFrozen(snap)).toBe(true);
+    });
+
+    test('should copy protected data into another instance without sharing it', () => {
+      const source = new Counter();
+      source.bump();
+      source.add("a");
+      const target = new Counter();
+      cloneProtected(source, target);
+      target.add("b");
+      expect(target.getProt().count).toBe(1);
+      expect(target.getProt().doubled).toBe(2);
+      expect(target.getProt().items).toEqual(["a", "b"]);
+      expect(source.getProt().items).toEqual(["a"]);
+    });
+
+    test('should honor transient() and cloneWith()', () => {
+      const source = new Counter();
+      source.getProt().cache.set("key", "value");
+      const target = new Counter();
+      cloneProtected(source, target);
+      expect(target.getProt().cache.size).toBe(0);
+      expect(target.getProt().handle).toEqual({ id: 3 });
+    });
+
+    test('should rebuild missing class levels bound to the target', () => {
+      class Named {
+        static #shared = share(this, {});
+        static { friend(this.#shared, Named); }
+        static prot(inst) { return protectedOf(inst, Named, this.#shared); }
+        name = "source";
+        #prot = share(this, Named, {
+          count: 0,
+          describe: function() { return `${this.name}:${Named.prot(this).count}`; },
+          label: accessor({
+            get: function() { return this.name.toUpperCase(); }
+          })
+        });
+      }
+      const source = new Named();
+      Named.prot(source).count = 3;
+      const target = Object.create(Named.prototype);
+      target.name = "target";
+      cloneProtected(source, target);
+      expect(describeShared(target).map(e => e.klass)).toEqual([Named]);
+      expect(Named.prot(target).describe()).toBe("target:3");
+      expect(Named.prot(target).label).toBe("TARGET");
+      expect(Named.prot(source).describe()).toBe("source:3");
+    });
+
+    test('should refuse to rebuild levels holding functions it cannot rebind', () => {
+      const source = new Counter();
+      source.bump();
+      const target = Object.create(Counter.prototype);
+      expect(() => cloneProtected(source, target)).toThrow("Cannot rebuild the shared members of class Counter for this object, since some of its functions cannot be bound to it");
+      expect(describeShared(target)).toEqual([]);
+    });
+
+    test('should keep the captured data out of reach', () => {
+      const counter = new Counter();
+      counter.bump();
+      const snap = snapshot(counter);
+      expect(Reflect.ownKeys(snap)).toEqual([]);
+      expect(Object.getPrototypeOf(snap)).toBe(null);
+      expect(Object.isFrozen(snap)).toBe(true);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => snapshot({})).toThrow(TypeError);
+      expect(() => restore(new Counter(), {})).toThrow(TypeError);
+      expect(() => restore({}, snapshot(new Counter()))).toThrow("Cannot restore the shared members of class Base into an object that is not a Base");
+      expect(() => cloneWith(1, 42)).toThrow(TypeError);
+    });
+  });
+
+  describe('lockShared(), isLocked() and autoLock()', () => {
+    class Base {
+      #value = 1;
+      #prot = share(this, Base, {
+        count: 0,
+        value: accessor({
+          get: () => this.#value,
+          set: v => { this.#value = v; }
+        }),
+        describe: () => `count is ${this.#prot.count}`
+      });
+      getProt() { return this.#prot; }
+    }
+
+    class Sub extends Base {
+      #prot = share(this, Sub, {});
+      getProt() { return this.#prot; }
+    }
+
+    test('should block writes through every accessor object after locking', () => {
+      const sub = new Sub();
+      expect(isLocked(sub)).toBe(false);
+      lockShared(sub);
+      expect(isLocked(sub)).toBe(true);
+      expect(() => { sub.getProt().count = 1; }).toThrow("Cannot assign to shared member count of a locked object");
+      expect(() => { Base.prototype.getProt.call(sub).count = 1; }).toThrow(TypeError);
+      expect(() => { sub.getProt().value = 2; }).toThrow(TypeError);
+    });
+
+    test('should keep methods and accessor getters working', () => {
+      const sub = new Sub();
+      lockShared(sub);
+      expect(sub.getProt().describe()).toBe("count is 0");
+      expect(sub.getProt().value).toBe(1);
+    });
+
+    test('should block sharing new members with a locked object', () => {
+      const base = new Base();
+      lockShared(base);
+      class Late extends Base {}
+      const late = new Late();
+      lockShared(late);
+      expect(() => share(late, Late, { extra: 1 })).toThrow("Class Late cannot share members with an object whose shared members are locked");
+      expect(() => restore(base, snapshot(new Base()))).toThrow(TypeError);
+    });
+
+    test('should lock automatically once construction completes', () => {
+      const Frozen = autoLock(class Frozen {
+        #prot = share(this, Frozen, {
+          ready: false,
+          init: postConstruct(shared => { shared.ready = true; })
+        });
+        getProt() { return this.#prot; }
+      });
+      const Leaf = lifecycle(class Leaf extends Frozen {
+        #prot = share(this, Leaf, { written: 0 });
+        constructor() {
+          super();
+          this.#prot.written = 1;
         }
-        expect(cheat).toThrow("Cannot create an instance of a descendant of a final class");
+        getWritten() { return this.#prot.written; }
+      });
+      const NoShare = lifecycle(class NoShare extends Frozen {});
+
+      const frozen = new Frozen();
+      expect(frozen.getProt().ready).toBe(true);
+      expect(isLocked(frozen)).toBe(true);
+      const leaf = new Leaf();
+      expect(leaf.getWritten()).toBe(1);
+      expect(isLocked(leaf)).toBe(true);
+      expect(isLocked(new NoShare())).toBe(true);
+      class Unwrapped extends Frozen {}
+      expect(() => new Unwrapped()).toThrow(TypeError);
+    });
+
+    test('should only lock the static members of the class that was locked', () => {
+      class SBase {
+        static #shared = share(this, { x: 1 });
+        static get shared() { return this.#shared; }
+      }
+      class SSub extends SBase {
+        static #shared = share(this, { y: 1 });
+        static get shared() { return this.#shared; }
+      }
+      lockShared(SSub);
+      expect(isLocked(SSub)).toBe(true);
+      expect(isLocked(SBase)).toBe(false);
+      SBase.shared.x = 5;
+      expect(SSub.shared.x).toBe(5);
+      expect(() => { SSub.shared.y = 2; }).toThrow("Cannot assign to shared member y of a locked object");
     });
 
-    test('prototype property should be undefined', () => {
-        expect(F.prototype).toBeUndefined();
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => lockShared({})).toThrow(TypeError);
+      expect(() => autoLock(42)).toThrow(TypeError);
+      expect(isLocked(42)).toBe(false);
     });
   });
-  
+
+  describe('$of()', () => {
+    class A {
+      #value = "a";
+      #prot = share(this, A, {
+        name: () => "A",
+        count: 0,
+        value: accessor({ get: () => this.#value })
+      });
+    }
+
+    class B extends A {
+      #prot = share(this, B, {
+        name: () => "B",
+        value: accessor({ get: () => "b" })
+      });
+      static #sprot = share(B, { label: "B" });
+    }
+
+    class C extends B {
+      #prot = share(this, C, {
+        name: () => "C",
+        count: 10
+      });
+      getProt() { return this.#prot; }
+      static #sprot = share(C, { label: "C" });
+      static getStatic() { return this.#sprot; }
+    }
+
+    test('should resolve members as a specific ancestor declared them', () => {
+      const prot = new C().getProt();
+      expect(prot.name()).toBe("C");
+      expect(prot.$of(A).name()).toBe("A");
+      expect(prot.$of(B).name()).toBe("B");
+      expect(prot.$of(C).name()).toBe("C");
+    });
+
+    test('should resolve accessor() members bound to the instance', () => {
+      const prot = new C().getProt();
+      expect(prot.$of(A).value).toBe("a");
+      expect(prot.$of(B).value).toBe("b");
+    });
+
+    test('should see assigned values unless a descendant shadows the member', () => {
+      const prot = new C().getProt();
+      prot.count = 20;
+      expect(prot.$of(C).count).toBe(20);
+      expect(prot.$of(A).count).toBe(0);
+      expect(Object.isFrozen(prot.$of(A))).toBe(true);
+    });
+
+    test('should work for static shared members', () => {
+      expect(C.getStatic().$of(B).label).toBe("B");
+      expect(C.getStatic().label).toBe("C");
+    });
+
+    test('should throw for classes that are not ancestors', () => {
+      const prot = new C().getProt();
+      expect(() => prot.$of(class Other {})).toThrow("Class Other is not an ancestor of class C");
+      expect(() => prot.$of(42)).toThrow(TypeError);
+    });
+  });
+
+  describe('decorators', () => {
+    //Node does not support decorator syntax yet, so these tests apply the
+    //decorators the way a compiler following the 2023 proposal would.
+    const METADATA = Symbol.metadata || Symbol.for("Symbol.metadata");
+    const fieldContext = (name, metadata, isStatic = false) =>
+      ({ kind: "field", name, static: isStatic, private: true, metadata });
+
+    test('should share members from a decorated field', () => {
+      const metadata = {};
+      const init = protectedMember(undefined, fieldContext("#shared", metadata));
+      class Base {
+        static { this[METADATA] = metadata; }
+        #shared = init.call(this, { name: "base" });
+        getShared() { return this.#shared; }
+      }
+      expect(new Base().getShared().name).toBe("base");
+    });
+
+    test('should interoperate with classes calling share() directly', () => {
+      const baseMeta = {};
+      const baseInit = protectedMember(undefined, fieldContext("#shared", baseMeta));
+      class Base {
+        static { this[METADATA] = baseMeta; }
+        #shared = baseInit.call(this, { name: "base", count: 1 });
+      }
+      class Middle extends Base {
+        #shared = share(this, Middle, { name: "middle" });
+      }
+      const leafMeta = Object.create(baseMeta);
+      const leafInit = protectedMember(undefined, fieldContext("#shared", leafMeta));
+      class Leaf extends Middle {
+        static { this[METADATA] = leafMeta; }
+        #shared = leafInit.call(this, {});
+        getShared() { return this.#shared; }
+      }
+
+      const shared = new Leaf().getShared();
+      expect(shared.name).toBe("middle");
+      expect(shared.$uper.name).toBe("base");
+      expect(shared.count).toBe(1);
+      expect(describeShared(new Leaf()).map(e => e.klass)).toEqual([Base, Middle, Leaf]);
+    });
+
+    test('should share static members and support auto-accessors', () => {
+      const metadata = {};
+      const staticInit = protectedMember(undefined, fieldContext("#sshared", metadata, true));
+      const accessorDef = protectedMember({ get() {}, set() {} }, { kind: "accessor", name: "#shared", static: false, private: true, metadata });
+      class Base {
+        static { this[METADATA] = metadata; }
+        static #sshared = staticInit.call(this, { kind: "static" });
+        #shared = accessorDef.init.call(this, { kind: "instance" });
+        static getShared() { return this.#sshared; }
+        getShared() { return this.#shared; }
+      }
+      expect(Base.getShared().kind).toBe("static");
+      expect(new Base().getShared().kind).toBe("instance");
+    });
+
+    test('should apply abstract and final as class and method decorators', () => {
+      const area = abstract(function area() {}, { kind: "method", name: "area" });
+      const Shape = abstract(class Shape {
+        static { this.prototype.area = area; }
+      }, { kind: "class", name: "Shape" });
+      class Square extends Shape {
+        #prot = share(this, Square, {});
+      }
+      expect(() => new Shape()).toThrow(TypeError);
+      expect(() => new Square()).toThrow("Class Square cannot be constructed without overriding abstract members: area");
+
+      const Leaf = final(class Leaf {}, { kind: "class", name: "Leaf" });
+      class Sub extends Leaf {}
+      expect(new Leaf()).toBeInstanceOf(Leaf);
+      expect(() => new Sub()).toThrow(TypeError);
+    });
+
+    test('should reject unsupported decorator targets', () => {
+      expect(() => protectedMember(() => {}, { kind: "method", name: "m" })).toThrow(TypeError);
+      expect(() => protectedMember(undefined, { kind: "field", name: "#shared", static: false })).toThrow(TypeError);
+      expect(() => abstract(undefined, { kind: "field", name: "x" })).toThrow(TypeError);
+      expect(() => final(() => {}, { kind: "method", name: "m" })).toThrow(TypeError);
+    });
+  });
+
+  describe('declare()', () => {
+    const Shape = declare({
+      name: "Shape",
+      abstract: true,
+      init(sides) { this.protected.sides = sides; },
+      public: {
+        area: abstract("Shape::area"),
+        get sides() { return this.protected.sides; },
+        describe() { return `${this.protected.label()} with ${this.self.sides} sides`; }
+      },
+      protected: {
+        sides: 0,
+        label() { return `shape #${this.private.id}`; }
+      },
+      private: {
+        id: 7
+      },
+      static: {
+        public: {
+          create(...args) { return new this.self(...args); },
+          count() { return this.protected.created; }
+        },
+        protected: {
+          created: 0
+        }
+      }
+    });
+
+    const Square = declare({
+      name: "Square",
+      extends: Shape,
+      final: true,
+      init(sides, size) { this.private.size = size; },
+      public: {
+        area() { return this.private.size ** 2; }
+      },
+      protected: {
+        label() { return `square (${this.protected.$uper.label()})`; }
+      },
+      private: {
+        size: 0,
+        history: []
+      }
+    });
+
+    test('should build classes with public, protected and private sections', () => {
+      const square = new Square(4, 3);
+      expect(Square.name).toBe("Square");
+      expect(square.area()).toBe(9);
+      expect(square.sides).toBe(4);
+      expect(square.describe()).toBe("square (shape #7) with 4 sides");
+      expect(square).toBeInstanceOf(Shape);
+      expect(Object.keys(square)).toEqual([]);
+    });
+
+    test('should apply abstract and final', () => {
+      expect(() => new Shape(3)).toThrow(TypeError);
+      expect(() => Shape.create(3)).toThrow(TypeError);
+      const Broken = declare({ name: "Broken", extends: Shape });
+      expect(() => new Broken(3)).toThrow("Class Broken cannot be constructed without overriding abstract members: Shape::area");
+      class Cube extends Square {}
+      expect(() => new Cube(6, 1)).toThrow(TypeError);
+    });
+
+    test('should support static sections', () => {
+      expect(Shape.count()).toBe(0);
+      expect(describeShared(Shape)[0].members.map(m => m.key)).toEqual(["created"]);
+    });
+
+    test('should interoperate with classes calling share() directly', () => {
+      class Base {
+        #prot = share(this, Base, { greeting: "hello" });
+      }
+      const Greeter = declare({
+        name: "Greeter",
+        extends: Base,
+        public: {
+          greet() { return `${this.protected.greeting} from ${this.protected.name}`; }
+        },
+        protected: {
+          name: "greeter"
+        }
+      });
+      class Loud extends Greeter {
+        #prot = share(this, Loud, { greeting: "HELLO" });
+      }
+      expect(new Greeter().greet()).toBe("hello from greeter");
+      expect(new Loud().greet()).toBe("HELLO from greeter");
+    });
+
+    test('should give every instance its own copy of data members', () => {
+      const Bag = declare({
+        name: "Bag",
+        public: {
+          add(item) { this.protected.items.push(item); },
+          get size() { return this.protected.items.length; }
+        },
+        protected: { items: [] }
+      });
+      const a = new Bag();
+      a.add(1);
+      expect(new Bag().size).toBe(0);
+      expect(new Proxy(a, {}).size).toBe(1);
+    });
+
+    test('should throw TypeError for invalid specs', () => {
+      expect(() => declare(42)).toThrow(TypeError);
+      expect(() => declare({ name: 42 })).toThrow(TypeError);
+      expect(() => declare({ extends: 42 })).toThrow(TypeError);
+      expect(() => declare({ abstract: true, final: true })).toThrow(TypeError);
+      expect(() => declare({ protected: 42 })).toThrow(TypeError);
+      expect(() => declare({ static: { public: 42 } })).toThrow(TypeError);
+      const Plain = declare({ name: "Plain", public: { hi() { return "hi"; } } });
+      expect(() => Plain.prototype.hi.call({})).toThrow(TypeError);
+    });
+  });
+
+  describe('share() layout reuse', () => {
+    class PA {
+      #v = 1;
+      #shared = share(this, PA, {
+        a: 1,
+        m: () => this.#v,
+        acc: accessor({ get: () => this.#v, set: v => { this.#v = v; } })
+      });
+      get pa() { return this.#shared; }
+    }
+    class PB extends PA {
+      #shared = share(this, PB, { a: 2, list: [], n: () => this.#shared.a });
+      get pb() { return this.#shared; }
+    }
+    class PC extends PB {
+      #shared = share(this, PC, { d: 4, m: () => 5 });
+      get pc() { return this.#shared; }
+    }
+
+    test('should keep per-instance data and bindings when reusing a layout', () => {
+      const x = new PC();
+      const y = new PC();
+      x.pa.acc = 7;
+      x.pb.list.push(1);
+      x.pc.a = 3;
+      expect(x.pa.acc).toBe(7);
+      expect(y.pa.acc).toBe(1);
+      expect(y.pb.list).toEqual([]);
+      expect(x.pa.a).toBe(3);
+      expect(y.pa.a).toBe(2);
+      expect(x.pa.m()).toBe(5);
+      expect(x.pc.$uper.m()).toBe(7);
+      expect(y.pc.$uper.m()).toBe(1);
+      expect(x.pb.n()).toBe(3);
+      expect(x.pb.$uper.a).toBe(1);
+      expect(x.pc.$uper).not.toBe(y.pc.$uper);
+    });
+
+    test('should reuse the layout of a class for later instances', () => {
+      const x = new PC();
+      const y = new PC();
+      for (const level of ["pa", "pb", "pc"]) {
+        expect(Object.getPrototypeOf(y[level])).toBe(Object.getPrototypeOf(x[level]));
+      }
+      expect(Object.getOwnPropertyDescriptor(y.pc, "d").get).toBe(Object.getOwnPropertyDescriptor(x.pc, "d").get);
+    });
+
+    test('should notice when a class shares differently marked members', () => {
+      class Varying {
+        #shared;
+        constructor(ro) {
+          this.#shared = share(this, Varying, { v: ro ? readonly(1) : 1 });
+        }
+        get shared() { return this.#shared; }
+      }
+      const plain = new Varying(false);
+      const ro = new Varying(true);
+      plain.shared.v = 2;
+      expect(plain.shared.v).toBe(2);
+      expect(() => { ro.shared.v = 2; }).toThrow(TypeError);
+      expect(new Varying(false).shared.v).toBe(1);
+      const getter = (obj) => Object.getOwnPropertyDescriptor(obj, "v").get;
+      expect(getter(ro.shared)).not.toBe(getter(plain.shared));
+    });
+  });
+
+  describe('configure()', () => {
+    let events = [];
+    const collect = (event) => { events.push(event); };
+
+    class Base {
+      #prot = share(this, Base, { value: 1, name: () => "base" });
+      getProt() { return this.#prot; }
+    }
+    class Derived extends Base {
+      #prot = share(this, Derived, { name: () => "derived" });
+      getProt() { return this.#prot; }
+    }
+
+    beforeEach(() => {
+      events = [];
+      configure({ debug: true, logger: collect });
+    });
+    afterEach(() => {
+      configure({ debug: false, logger: null });
+    });
+
+    test('should report registrations, shadowing and $uper resolution', () => {
+      new Derived();
+      const types = events.map(e => e.type);
+      expect(types).toEqual(["share", "share", "shadow", "uper"]);
+      expect(events[0]).toMatchObject({ klass: Base, keys: ["value", "name"], parent: null });
+      expect(events[1]).toMatchObject({ klass: Derived, keys: ["name"], parent: Base });
+      expect(events[2]).toMatchObject({ klass: Derived, key: "name", owner: Base });
+      expect(events[2].message).toBe("Class Derived shadows shared member name of class Base");
+      expect(events[3]).toMatchObject({ klass: Derived, key: "name", owner: Base });
+      expect(Object.isFrozen(events[0])).toBe(true);
+    });
+
+    test('should report reads and writes through accessor objects', () => {
+      const inst = new Derived();
+      events = [];
+      const prot = inst.getProt();
+      prot.value = 2;
+      expect(prot.value).toBe(2);
+      expect(events.map(e => e.type)).toEqual(["write", "read"]);
+      expect(events[0]).toMatchObject({ klass: Derived, key: "value", owner: Base, value: 2 });
+      expect(events[1].message).toBe("Read of shared member value through class Derived, declared by class Base");
+    });
+
+    test('should warn about likely misuse of share()', () => {
+      const warnings = () => events.filter(e => e.type == "warning").map(e => e.message);
+
+      const Wrapped = abstract(class Wrapped {});
+      class Concrete extends Wrapped {
+        #prot = share(this, Concrete, {});
+      }
+      events = [];
+      new Concrete();
+      expect(warnings()[0]).toMatch(/^Class Concrete has no registered ancestor, although it extends Wrapped/);
+    });
+
+    test('should not report anything when debug mode is off', () => {
+      configure({ debug: false });
+      new Derived().getProt().value = 3;
+      expect(events).toEqual([]);
+    });
+
+    test('should throw TypeError for invalid options', () => {
+      expect(() => configure()).toThrow(TypeError);
+      expect(() => configure({ logger: 42 })).toThrow(TypeError);
+    });
+  });
+
+  describe('abstract()', () => {
+    const A = abstract(class A {});
+    class B extends A {}
+
+    test('should throw when directly instantiating an abstract class', () => {
+      expect(() => new A()).toThrow(TypeError);
+      expect(() => new A()).toThrow("Class constructor A is abstract and cannot be directly invoked with 'new'");
+    });
+
+    test('should not throw when instantiating a derived class', () => {
+      expect(() => new B()).not.toThrow();
+    });
+
+    test('should create a function that throws when given a string', () => {
+        const abstractFn = abstract('myFunc');
+        expect(typeof abstractFn).toBe('function');
+        expect(() => abstractFn()).toThrow(TypeError);
+        expect(() => abstractFn()).toThrow('myFunc() must be overridden');
+    });
+
+    test('should throw a TypeError for invalid input', () => {
+        expect(() => abstract(123)).toThrow(TypeError);
+        expect(() => abstract(123)).toThrow('abstract parameter must be a function or string');
+    });
+    
+    test('should handle classes without names', () => {
+        const NoName = abstract(class {});
+        expect(() => new NoName()).toThrow("Class constructor  is abstract and cannot be directly invoked with 'new'");
+    });
+
+    describe('abstract member verification', () => {
+      const Shape = abstract(class Shape {
+        #prot = share(this, Shape, {
+          area: abstract("Shape::area"),
+          perimeter: abstract("Shape::perimeter"),
+          sides: 0
+        });
+        static {
+          define(this, { describe: { value: abstract("Shape::describe") } });
+        }
+      });
+
+      const Square = lifecycle(class Square extends Shape {
+        #prot = share(this, Square, {
+          area: () => 4,
+          perimeter: () => 8
+        });
+        describe() { return "square"; }
+      });
+
+      class Partial extends Shape {
+        #prot = share(this, Partial, { area: () => 1 });
+      }
+
+      const Complete = lifecycle(class Complete extends Partial {
+        #prot = share(this, Complete, { perimeter: () => 4 });
+        describe() { return "complete"; }
+      });
+
+      test('should construct instances that override every abstract member', () => {
+        expect(() => new Square()).not.toThrow();
+        expect(() => new Complete()).not.toThrow();
+      });
+
+      test('should throw one error listing every member that was not overridden', () => {
+        const Bare = lifecycle(class Bare extends Shape {
+          #prot = share(this, Bare, {});
+          describe() { return "bare"; }
+        });
+        expect(() => new Bare()).toThrow(TypeError);
+        expect(() => new Bare()).toThrow("Class Bare cannot be constructed without overriding abstract members: Shape::area, Shape::perimeter");
+      });
+
+      test('should check abstract shared members of leaves that never call share()', () => {
+        const Base0 = abstract(class Base {
+          #prot = share(this, Base, { foo: abstract("Base::foo") });
+        });
+        class Sub extends Base0 {}
+        const Wrapped = lifecycle(class Wrapped extends Base0 {});
+        expect(() => new Sub()).toThrow("Class Sub must be wrapped with lifecycle() to verify that it overrides abstract members: Base::foo");
+        expect(() => new Wrapped()).toThrow("Class Wrapped cannot be constructed without overriding abstract members: Base::foo");
+      });
+
+      test('should require lifecycle() on classes left to shadow abstract shared members', () => {
+        class Unwrapped extends Shape {
+          #prot = share(this, Unwrapped, {
+            area: () => 4,
+            perimeter: () => 8
+          });
+          describe() { return "unwrapped"; }
+        }
+        class Late extends Complete {}
+        expect(() => new Unwrapped()).toThrow("Class Unwrapped must be wrapped with lifecycle() to verify that it overrides abstract members: Shape::area, Shape::perimeter");
+        expect(() => new Late()).toThrow("Class Late must be wrapped with lifecycle() since it extends class Complete");
+      });
+
+      test('should report abstract prototype methods before any descendant shares', () => {
+        expect(() => new Partial()).toThrow("Class Partial cannot be constructed without overriding abstract members: Shape::describe");
+      });
+
+      test('should report abstract prototype methods of leaves that never call share()', () => {
+        class NoShare extends Shape {}
+        class Leaf extends Partial {}
+        expect(() => new NoShare()).toThrow("Class NoShare cannot be constructed without overriding abstract members: Shape::describe");
+        expect(() => new Leaf()).toThrow("Class Leaf cannot be constructed without overriding abstract members: Shape::describe");
+      });
+
+      test('should report abstract prototype methods', () => {
+        class NoDescribe extends Shape {
+          #prot = share(this, NoDescribe, {
+            area: () => 4,
+            perimeter: () => 8
+          });
+        }
+        expect(() => new NoDescribe()).toThrow("Class NoDescribe cannot be constructed without overriding abstract members: Shape::describe");
+      });
+    });
+  });
+
+  describe('lifecycle()', () => {
+    const Base = lifecycle(class Base {
+      log = [];
+      #prot = share(this, Base, {
+        name: "base",
+        setup: postConstruct((prot) => {
+          this.log.push(`Base setup sees ${prot.name}`);
+        })
+      });
+    });
+
+    const Sub = lifecycle(class Sub extends Base {
+      #prot = share(this, Sub, {
+        name: "sub",
+        init: postConstruct((prot) => {
+          this.log.push(`Sub init sees ${prot.name} after ${prot.$uper.name}`);
+        })
+      });
+    });
+
+    const Leaf = lifecycle(class Leaf extends Sub {
+      #prot = share(this, Leaf, {
+        start: postConstruct(() => {
+          this.log.push(`Leaf start sees ${this.#prot.ready}`);
+        }),
+        ready: false
+      });
+
+      constructor() {
+        super();
+        this.log.push("Leaf constructor");
+        this.#prot.ready = true;
+      }
+    });
+
+    test('should run hooks once the wrapped class is constructed', () => {
+      expect(new Base().log).toEqual(["Base setup sees base"]);
+    });
+
+    test('should run hooks in base-to-derived order with their accessor objects', () => {
+      expect(new Sub().log).toEqual([
+        "Base setup sees sub",
+        "Sub init sees sub after base"
+      ]);
+    });
+
+    test('should run hooks after the constructor of a wrapped descendant returns', () => {
+      expect(new Leaf().log).toEqual([
+        "Leaf constructor",
+        "Base setup sees sub",
+        "Sub init sees sub after base",
+        "Leaf start sees true"
+      ]);
+    });
+
+    test('should run hooks exactly once per instance', () => {
+      const inst = new Leaf();
+      expect(inst.log.filter(entry => entry.startsWith("Base setup")).length).toBe(1);
+    });
+
+    test('should run hooks after later fields and the constructor body', () => {
+      const Late = lifecycle(class Late extends Base {
+        #prot = share(this, Late, {
+          check: postConstruct(() => {
+            this.log.push(`ready is ${this.ready}`);
+          })
+        });
+        ready = false;
+        constructor() {
+          super();
+          this.ready = true;
+        }
+      });
+      expect(new Late().log).toEqual(["Base setup sees base", "ready is true"]);
+    });
+
+    test('should run hooks when the wrapped class is also wrapped by final()', () => {
+      const Sealed = final(lifecycle(class Sealed extends Base {}));
+      expect(new Sealed().log).toEqual(["Base setup sees base"]);
+    });
+
+    test('should reject descendants that were not wrapped', () => {
+      class Unwrapped extends Base {
+        #prot = share(this, Unwrapped, {});
+      }
+      class NoShare extends Base {}
+      expect(() => new Unwrapped()).toThrow("Class Unwrapped must be wrapped with lifecycle() since it extends class Base");
+      expect(() => new NoShare()).toThrow(TypeError);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => lifecycle(42)).toThrow(TypeError);
+      expect(() => postConstruct(42)).toThrow(TypeError);
+    });
+  });
+
+  describe('final()', () => {
+    const F = final(class F {});
+    
+    test('should allow direct instantiation', () => {
+        expect(() => new F()).not.toThrow();
+    });
+
+    test('should throw when trying to instantiate an extension of a final class', () => {
+      class D extends F {}
+      expect(() => new D()).toThrow(TypeError);
+      expect(() => new D()).toThrow("Cannot create an instance of a descendant of a final class");
+    });
+    
+    test('should block construction through descendants at any depth', () => {
+      // Extension itself cannot be blocked, so final() blocks it at construction
+      class D extends F {}
+      class E extends D {
+        constructor() {
+          super();
+        }
+      }
+      expect(() => new E()).toThrow("Cannot create an instance of a descendant of a final class");
+      expect(() => Reflect.construct(D, [], E)).toThrow("Cannot create an instance of a descendant of a final class");
+    });
+
+    test('should throw when trying to create an instance of a descendant', () => {
+        // This simulates a bypass of the extension block
+        function cheat() {
+            const D = function() {};
+            Object.setPrototypeOf(D, F);
+            Reflect.construct(F, [], D);
+        }
+        expect(cheat).toThrow("Cannot create an instance of a descendant of a final class");
+    });
+
+    test('should keep a working prototype', () => {
+        const inst = new F();
+        expect(typeof F.prototype).toBe("object");
+        expect(Object.getPrototypeOf(inst)).toBe(F.prototype);
+        expect(inst.constructor).toBe(F);
+    });
+
+    test('should work with instanceof', () => {
+        expect(new F() instanceof F).toBe(true);
+        expect({} instanceof F).toBe(false);
+    });
+
+    test('should keep static private fields reachable', () => {
+        const Counter = final(class Counter {
+            static #count = 0;
+            static get count() { return this.#count; }
+            static set count(v) { this.#count = v; }
+            static create() {
+                ++this.#count;
+                return new this();
+            }
+        });
+        expect(Counter.create()).toBeInstanceOf(Counter);
+        expect(Counter.count).toBe(1);
+        Counter.count = 5;
+        expect(Counter.count).toBe(5);
+        expect(Counter.create).toBe(Counter.create);
+    });
+
+    test('should keep static and instance shared members reachable', () => {
+        const Example = final(class Example {
+            static #shared = share(this, { answer: 42 });
+            #prot = share(this, Example, { data: "HHGTTG" });
+            static getAnswer() { return this.#shared.answer; }
+            getData() { return this.#prot.data; }
+        });
+        expect(Example.getAnswer()).toBe(42);
+        expect(new Example().getData()).toBe("HHGTTG");
+        expect(describeShared(Example)[0].klass.name).toBe("Example");
+    });
+  });
+  
+  describe('friend()', () => {
+    class Serializer {
+      static #shared = share(this, {});
+      static serialize(inst) {
+        const prot = protectedOf(inst, Account, this.#shared);
+        return `${prot.owner}:${prot.balance}`;
+      }
+      static protectedOf(...args) { return protectedOf(...args, this.#shared); }
+    }
+
+    class Account {
+      static #shared = share(this, { prefix: "acct" });
+      #prot = share(this, Account, {
+        owner: "Arthur",
+        balance: 42
+      });
+
+      static {
+        friend(this.#shared, Serializer);
+      }
+    }
+
+    class Savings extends Account {
+      #prot = share(this, Savings, { balance: 100 });
+    }
+
+    test('should give a friend access to the shared members of an instance', () => {
+      expect(Serializer.serialize(new Account())).toBe("Arthur:42");
+    });
+
+    test('should resolve shadowed members for descendant instances', () => {
+      expect(Serializer.serialize(new Savings())).toBe("Arthur:100");
+    });
+
+    test('should allow a friend to write shared members', () => {
+      const inst = new Account();
+      Serializer.protectedOf(inst, Account).balance = 7;
+      expect(Serializer.serialize(inst)).toBe("Arthur:7");
+    });
+
+    test('should give a friend access to static shared members', () => {
+      expect(Serializer.protectedOf(Account).prefix).toBe("acct");
+    });
+
+    test('should reject classes that are not friends', () => {
+      class Stranger {
+        static #shared = share(this, {});
+        static peek(inst) { return protectedOf(inst, Account, this.#shared); }
+      }
+      expect(() => Stranger.peek(new Account())).toThrow(TypeError);
+      expect(() => Stranger.peek(new Account())).toThrow("Class Stranger is not a friend of class Account");
+    });
+
+    test('should only let a class grant friendship to its own members', () => {
+      class Vault {
+        #prot = share(this, Vault, { secret: "s3cret" });
+      }
+      class Attacker {
+        static #shared = share(this, {});
+        static grant() { friend(this.#shared, Attacker); }
+        static peek(inst) { return protectedOf(inst, Vault, this.#shared); }
+      }
+      expect(() => friend(Vault, Attacker)).toThrow("Expected shared to be an accessor object returned by share().");
+      Attacker.grant();
+      expect(() => Attacker.peek(new Vault())).toThrow("Class Attacker is not a friend of class Vault");
+    });
+
+    test('should not let a friend grant friendship on behalf of the class', () => {
+      class Evil {
+        static #shared = share(this, {});
+        static peek(inst) { return protectedOf(inst, Account, this.#shared); }
+      }
+      const borrowed = Serializer.protectedOf(Account);
+      expect(() => friend(borrowed, Evil)).toThrow("Expected shared to be an accessor object returned by share().");
+      expect(() => friend(Serializer.protectedOf(new Account(), Account), Evil)).toThrow(TypeError);
+      expect(() => Evil.peek(new Account())).toThrow("Class Evil is not a friend of class Account");
+    });
+
+    test('should not let a friend open a sealed class', () => {
+      const Root = sealed(class Root {
+        static #shared = share(this, {});
+        static { friend(this.#shared, Serializer); }
+      });
+      class Bad extends Root {}
+      expect(() => permit(Serializer.protectedOf(Root), Bad)).toThrow("Expected shared to be an accessor object returned by share().");
+      expect(() => new Bad()).toThrow("Class Bad is not permitted to extend sealed class Root");
+    });
+
+    test('should not let a friend pass off a borrowed accessor object as its own', () => {
+      expect(() => protectedOf(new Account(), Account, Serializer.protectedOf(Account))).toThrow("Expected friendShared to be an accessor object returned by share().");
+    });
+
+    test('should only accept a friend that proves its identity', () => {
+      expect(() => protectedOf(new Account(), Account, Serializer)).toThrow("Expected friendShared to be an accessor object returned by share().");
+      expect(() => protectedOf(new Account(), Account, {})).toThrow(TypeError);
+    });
+
+    test('should not inherit friendship', () => {
+      expect(() => Serializer.protectedOf(new Savings(), Savings)).toThrow(TypeError);
+    });
+
+    test('should throw when the instance has no record for the class', () => {
+      expect(() => Serializer.protectedOf({}, Account)).toThrow(TypeError);
+    });
+
+    test('should honor abstract() and final() wrappers', () => {
+      class Reader {
+        static #shared = share(this, {});
+        static read(inst, klass) { return protectedOf(inst, klass, this.#shared); }
+      }
+      const Shape = abstract(class Shape {
+        static #shared = share(this, {});
+        #prot = share(this, Shape, { sides: 0 });
+        static { friend(this.#shared, Reader); }
+      });
+      class Square extends Shape {
+        #prot = share(this, Square, { sides: 4 });
+      }
+      const Circle = final(class Circle {
+        static #shared = share(this, {});
+        #prot = share(this, Circle, { sides: 1 });
+        static { friend(this.#shared, Reader); }
+      });
+
+      expect(Reader.read(new Square(), Shape).sides).toBe(4);
+      expect(Reader.read(new Circle(), Circle).sides).toBe(1);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => friend(null, Serializer)).toThrow(TypeError);
+      expect(() => friend(new Account(), Serializer)).toThrow(TypeError);
+      expect(() => Serializer.protectedOf(new Account(), Account, {})).toThrow(TypeError);
+    });
+  });
+
+  describe('describeShared()', () => {
+    class Base {
+      static #shared = share(this, { count: 0 });
+      #prot = share(this, Base, {
+        num: 1,
+        method: () => "base",
+        prop: accessor({ get: () => "prop" })
+      });
+    }
+
+    class Sub extends Base {
+      static #shared = share(this, { count: 1 });
+      #prot = share(this, Sub, {
+        method: () => "sub",
+        extra: true
+      });
+    }
+
+    test('should describe each registered class in the chain of an instance', () => {
+      const desc = describeShared(new Sub());
+      expect(desc.map(e => e.klass)).toEqual([Base, Sub]);
+      expect(desc[0].members.map(m => m.key)).toEqual(["num", "method", "prop"]);
+      expect(desc[1].members.map(m => m.key)).toEqual(["method", "extra"]);
+    });
+
+    test('should report the kind of each member', () => {
+      const [base] = describeShared(new Base());
+      expect(base.members.map(m => m.kind)).toEqual(["data", "method", "accessor"]);
+    });
+
+    test('should report lazy members as data', () => {
+      class Lazy {
+        #prot = share(this, Lazy, {
+          table: lazy(() => [1, 2]),
+          fixed: readonly(lazy(() => 42))
+        });
+        read() { return this.#prot.table + this.#prot.fixed; }
+      }
+
+      const inst = new Lazy();
+      const kinds = () => describeShared(inst)[0].members.map(m => m.kind);
+      expect(kinds()).toEqual(["data", "data"]);
+      inst.read();
+      expect(kinds()).toEqual(["data", "data"]);
+    });
+
+    test('should report which class definition wins after shadowing', () => {
+      const [base, sub] = describeShared(new Sub());
+      expect(base.members.map(m => m.owner)).toEqual([Base, Sub, Base]);
+      expect(sub.members.map(m => m.owner)).toEqual([Sub, Sub]);
+    });
+
+    test('should report the members reachable through $uper', () => {
+      const [base, sub] = describeShared(new Sub());
+      expect(base.uper).toEqual([]);
+      expect(sub.uper).toEqual(["method"]);
+    });
+
+    test('should describe static shared members of a class', () => {
+      const desc = describeShared(Sub);
+      expect(desc.map(e => e.klass)).toEqual([Base, Sub]);
+      expect(desc[1].members).toEqual([{ key: "count", kind: "data", owner: Sub }]);
+      expect(desc[1].uper).toEqual(["count"]);
+    });
+
+    test('should return a frozen description', () => {
+      const desc = describeShared(new Base());
+      expect(Object.isFrozen(desc)).toBe(true);
+      expect(Object.isFrozen(desc[0].members[0])).toBe(true);
+    });
+
+    test('should return an empty description for unregistered objects', () => {
+      expect(describeShared({})).toEqual([]);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => describeShared(null)).toThrow(TypeError);
+    });
+  });
+
+  describe('membrane()', () => {
+    class Base {
+      #secret = "base secret";
+      #prot = share(this, Base, {
+        describe: () => "base"
+      });
+
+      get secret() { return this.#secret; }
+      set secret(v) { this.#secret = v; }
+      getSecret() { return this.#secret; }
+      describe() { return this.#prot.describe(); }
+      self() { return this; }
+    }
+
+    class Sub extends Base {
+      static #count = 0;
+      #prot = share(this, Sub, {
+        describe: () => `sub of ${this.#prot.$uper.describe()}`
+      });
+
+      static count() { return this.#count; }
+      describe() { return this.#prot.describe(); }
+    }
+
+    test('should keep private fields reachable through the proxy', () => {
+      const proxy = membrane(new Base());
+      expect(proxy.getSecret()).toBe("base secret");
+      expect(proxy.secret).toBe("base secret");
+      proxy.secret = "changed";
+      expect(proxy.getSecret()).toBe("changed");
+    });
+
+    test('should keep shared members and $uper reachable through the proxy', () => {
+      const proxy = membrane(new Sub());
+      expect(proxy.describe()).toBe("sub of base");
+    });
+
+    test('should let handler traps see public property traffic', () => {
+      const log = [];
+      const proxy = membrane(new Base(), {
+        get(target, prop, receiver) {
+          log.push(["get", prop]);
+          return Reflect.get(target, prop, receiver);
+        },
+        set(target, prop, value, receiver) {
+          log.push(["set", prop]);
+          return Reflect.set(target, prop, value, receiver);
+        },
+        has(target, prop) {
+          log.push(["has", prop]);
+          return Reflect.has(target, prop);
+        }
+      });
+      proxy.secret = "x";
+      expect(proxy.getSecret()).toBe("x");
+      expect("secret" in proxy).toBe(true);
+      expect(log).toEqual([["set", "secret"], ["get", "getSecret"], ["has", "secret"]]);
+    });
+
+    test('should return the proxy instead of the target from methods', () => {
+      const proxy = membrane(new Base());
+      expect(proxy.self()).toBe(proxy);
+      expect(proxy.getSecret).toBe(proxy.getSecret);
+    });
+
+    test('should run iterator, generator and async generator methods against the target', async () => {
+      class G {
+        #items = [1, 2, 3];
+        *[Symbol.iterator]() { yield* this.#items; }
+        *gen() { yield this.#items.length; }
+        async *agen() { yield this.#items[0]; }
+      }
+      const proxy = membrane(new G());
+      expect([...proxy]).toEqual([1, 2, 3]);
+      expect([...proxy.gen()]).toEqual([3]);
+      expect((await proxy.agen().next()).value).toBe(1);
+    });
+
+    test('should run methods added by define() against the target', () => {
+      class K {
+        #x = 5;
+        static {
+          define(this, { getX: { value: function () { return this.#x; } } });
+        }
+      }
+      K.prototype.getDouble = function () { return this.getX() * 2; };
+      const proxy = membrane(new K());
+      expect(proxy.getX()).toBe(5);
+      expect(proxy.getDouble()).toBe(10);
+    });
+
+    test('should leave ordinary functions and classes alone', () => {
+      function plain() { return this; }
+      const target = { plain, Klass: class Klass {} };
+      const proxy = membrane(target);
+      expect(proxy.plain).toBe(plain);
+      expect(proxy.Klass).toBe(target.Klass);
+      class Outer {
+        static Inner = class Inner {};
+      }
+      expect(new (membrane(Outer).Inner)()).toBeInstanceOf(Outer.Inner);
+    });
+
+    test('should wrap classes', () => {
+      const Wrapped = membrane(Sub);
+      expect(Wrapped.count()).toBe(0);
+      expect(new Wrapped()).toBeInstanceOf(Sub);
+    });
+
+    test('should be reversible', () => {
+      const inst = new Base();
+      expect(unwrapMembrane(membrane(inst))).toBe(inst);
+      expect(unwrapMembrane(inst)).toBe(inst);
+    });
+
+    test('should be accepted by the reflection APIs', () => {
+      expect(describeShared(membrane(new Sub())).map(e => e.klass)).toEqual([Base, Sub]);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => membrane(null)).toThrow(TypeError);
+      expect(() => membrane({}, 42)).toThrow(TypeError);
+    });
+  });
+
+  describe('factoryOnly()', () => {
+    const Point = factoryOnly(class Point {
+      static #created = 0;
+      static #shared = share(this, { origin: "0,0" });
+      #prot = share(this, Point, { x: 0, y: 0 });
+
+      static create(x, y) {
+        ++this.#created;
+        const retval = new this();
+        retval.#prot.x = x;
+        retval.#prot.y = y;
+        return retval;
+      }
+      static fromJSON(json) {
+        const { x, y } = JSON.parse(json);
+        return Point.create(x, y);
+      }
+      static get created() { return this.#created; }
+      static getOrigin() { return this.#shared.origin; }
+
+      toString() { return `${this.#prot.x},${this.#prot.y}`; }
+    });
+
+    class Point3D extends Point {
+      #prot = share(this, Point3D, { z: 0 });
+    }
+
+    test('should throw when constructed from outside the class', () => {
+      expect(() => new Point()).toThrow(TypeError);
+      expect(() => new Point()).toThrow("Class constructor Point is protected and can only be invoked by the class itself or its descendants");
+    });
+
+    test('should allow the static methods of the class to construct', () => {
+      const before = Point.created;
+      const point = Point.create(1, 2);
+      expect(point).toBeInstanceOf(Point);
+      expect(point.constructor).toBe(Point);
+      expect(`${point}`).toBe("1,2");
+      expect(`${Point.fromJSON('{"x":3,"y":4}')}`).toBe("3,4");
+      expect(Point.created).toBe(before + 2);
+    });
+
+    test('should make the wrapper the constructor of instances', () => {
+      const point = Point.create(1, 2);
+      expect(() => new point.constructor()).toThrow("Class constructor Point is protected and can only be invoked by the class itself or its descendants");
+    });
+
+    test('should allow descendants to construct', () => {
+      const point = new Point3D();
+      expect(point).toBeInstanceOf(Point);
+      expect(describeShared(point).map(e => e.members.map(m => m.key))).toEqual([["x", "y"], ["z"]]);
+    });
+
+    test('should keep static shared members reachable', () => {
+      expect(Point.getOrigin()).toBe("0,0");
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => factoryOnly(42)).toThrow(TypeError);
+    });
+  });
+
+  describe('singleton()', () => {
+    const Service = singleton(class Service {
+      static #shared = share(this, { kind: "service" });
+      static #starts = 0;
+      #prot = share(this, Service, { id: 0 });
+
+      constructor(id) {
+        ++Service.#starts;
+        this.#prot.id = id;
+      }
+
+      static get starts() { return this.#starts; }
+      static getKind() { return this.#shared.kind; }
+      get id() { return this.#prot.id; }
+    });
+
+    beforeEach(() => {
+      resetSingleton(Service);
+    });
+
+    test('should return the same instance from repeated construction', () => {
+      const first = new Service(1);
+      const second = new Service(2);
+      expect(second).toBe(first);
+      expect(second.id).toBe(1);
+      expect(first).toBeInstanceOf(Service);
+    });
+
+    test('should make the wrapper the constructor of the instance', () => {
+      const first = new Service(1);
+      expect(first.constructor).toBe(Service);
+      expect(new first.constructor(2)).toBe(first);
+    });
+
+    test('should construct a fresh instance after a reset', () => {
+      const first = new Service(1);
+      resetSingleton(Service);
+      const second = new Service(2);
+      expect(second).not.toBe(first);
+      expect(second.id).toBe(2);
+    });
+
+    test('should keep static shared members and static private fields reachable', () => {
+      const before = Service.starts;
+      new Service(1);
+      new Service(2);
+      expect(Service.starts).toBe(before + 1);
+      expect(Service.getKind()).toBe("service");
+    });
+
+    test('should throw from repeated construction in throw mode', () => {
+      const Strict = singleton(class Strict {}, { mode: "throw" });
+      expect(() => new Strict()).not.toThrow();
+      expect(() => new Strict()).toThrow("Singleton class Strict has already been instantiated");
+    });
+
+    test('should deny subclasses by default', () => {
+      class Sub extends Service {}
+      expect(() => new Sub()).toThrow("Cannot create an instance of a descendant of singleton class Service");
+    });
+
+    test('should allow subclasses when configured', () => {
+      const Open = singleton(class Open {
+        #prot = share(this, Open, { name: "open" });
+      }, { subclasses: "allow" });
+      class Sub extends Open {
+        #prot = share(this, Sub, {});
+        getProt() { return this.#prot; }
+      }
+      const a = new Sub();
+      const b = new Sub();
+      expect(a).not.toBe(b);
+      expect(a.getProt().name).toBe("open");
+      expect(new Open()).toBe(new Open());
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => singleton(42)).toThrow(TypeError);
+      expect(() => singleton(class {}, { mode: "sometimes" })).toThrow(TypeError);
+      expect(() => singleton(class {}, { subclasses: "maybe" })).toThrow(TypeError);
+      expect(() => resetSingleton(class {})).toThrow(TypeError);
+    });
+  });
+
+  describe('defineInterface() and implement()', () => {
+    const Named = defineInterface({ name: "Named", accessors: ["name"] });
+    const Shape = defineInterface({
+      name: "Shape",
+      extends: [Named],
+      methods: ["area"],
+      statics: ["create"],
+      shared: ["scale"]
+    });
+
+    const Square = implement(class Square {
+      #prot = share(this, Square, {
+        scale: 1
+      });
+      static create() { return new this(); }
+      get name() { return "square"; }
+      area() { return this.#prot.scale; }
+    }, Shape);
+
+    test('should allow classes that meet every requirement', () => {
+      const square = new Square();
+      expect(square.area()).toBe(1);
+      expect(square instanceof Square).toBe(true);
+    });
+
+    test('should report missing public members when the class is defined', () => {
+      expect(() => implement(class Blob {
+        get name() { return "blob"; }
+      }, Shape)).toThrow("Class Blob does not implement Shape (method area, static create)");
+    });
+
+    test('should report missing shared members at first construction', () => {
+      const Flat = implement(class Flat {
+        static create() { return new this(); }
+        get name() { return "flat"; }
+        area() { return 0; }
+      }, Shape);
+      expect(() => new Flat()).toThrow("Class Flat does not implement Shape (shared scale)");
+    });
+
+    test('should accept shared members declared by ancestors', () => {
+      class Base {
+        #prot = share(this, Base, { scale: 2 });
+      }
+      const Derived = implement(class Derived extends Base {
+        static create() { return new this(); }
+        get name() { return "derived"; }
+        area() { return 4; }
+      }, Shape);
+      expect(() => new Derived()).not.toThrow();
+    });
+
+    test('should check instances structurally with instanceof', () => {
+      expect(new Square() instanceof Shape).toBe(true);
+      expect(new Square() instanceof Named).toBe(true);
+      expect({ name: "plain" } instanceof Named).toBe(true);
+      expect({ name: "plain" } instanceof Shape).toBe(false);
+      expect(null instanceof Named).toBe(false);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => defineInterface({})).toThrow(TypeError);
+      expect(() => defineInterface({ name: "Bad", extends: [{}] })).toThrow(TypeError);
+      expect(() => implement(42, Shape)).toThrow(TypeError);
+      expect(() => implement(class {}, {})).toThrow(TypeError);
+    });
+  });
+
+  describe('sealed()', () => {
+    let shapeStatics;
+    const Shape = sealed(class Shape {
+      static #shared = share(this, {});
+      static { shapeStatics = this.#shared; }
+      #prot = share(this, Shape, { sides: 0 });
+      getSides() { return this.#prot.sides; }
+    }, () => Square, { klass: () => Polygon, descendants: true });
+
+    class Square extends Shape {
+      #prot = share(this, Square, { sides: 4 });
+    }
+
+    class Polygon extends Shape {}
+    class Hexagon extends Polygon {}
+
+    class Circle extends Shape {}
+    permit(shapeStatics, Circle);
+
+    class Rogue extends Shape {}
+    class SubSquare extends Square {}
+
+    test('should allow direct instantiation', () => {
+      expect(() => new Shape()).not.toThrow();
+    });
+
+    test('should allow permitted subclasses', () => {
+      expect(new Square().getSides()).toBe(4);
+      expect(() => new Polygon()).not.toThrow();
+    });
+
+    test('should allow descendants of subclasses permitted with descendants', () => {
+      expect(() => new Hexagon()).not.toThrow();
+    });
+
+    test('should reject descendants of other permitted subclasses', () => {
+      expect(() => new SubSquare()).toThrow(TypeError);
+      expect(() => new SubSquare()).toThrow("Class SubSquare is not permitted to extend sealed class Shape");
+    });
+
+    test('should reject subclasses that were not permitted', () => {
+      expect(() => new Rogue()).toThrow("Class Rogue is not permitted to extend sealed class Shape");
+    });
+
+    test('should allow subclasses permitted later by the sealed class', () => {
+      expect(() => new Circle()).not.toThrow();
+    });
+
+    test('should not let a subclass permit itself', () => {
+      expect(() => new Rogue()).toThrow("Class Rogue is not permitted to extend sealed class Shape");
+      expect(() => permit(Shape, Rogue)).toThrow(TypeError);
+    });
+
+    test('should only permit the listed classes, whatever their names', () => {
+      const Token = sealed(class Token {}, () => Coin);
+      const Impostor = (() => class Coin extends Token {})();
+      class Coin extends Token {}
+
+      expect(() => new Impostor()).toThrow("Class Coin is not permitted to extend sealed class Token");
+      expect(() => new Coin()).not.toThrow();
+    });
+
+    test('should permit listed classes defined after a sibling is instantiated', () => {
+      const Gate = sealed(class Gate {}, () => Early, () => Late);
+      class Early extends Gate {}
+      expect(() => new Early()).not.toThrow();
+      class Late extends Gate {}
+      expect(() => new Late()).not.toThrow();
+    });
+
+    test('should keep share() registrations working', () => {
+      expect(new Shape().getSides()).toBe(0);
+    });
+
+    test('should throw TypeError for invalid arguments', () => {
+      expect(() => sealed(42)).toThrow(TypeError);
+      expect(() => sealed(class {}, "Square")).toThrow(TypeError);
+      expect(() => permit(shapeStatics, "Circle")).toThrow("Expected each permitted subclass to be a class.");
+      expect(() => permit(class {}, Circle)).toThrow(TypeError);
+      expect(() => permit(Shape, Circle)).toThrow("Expected shared to be an accessor object returned by share().");
+      expect(() => permit(shapeStatics, 42)).toThrow(TypeError);
+      expect(() => permit(shapeStatics, SubSquare)).toThrow("Class SubSquare does not directly extend sealed class Shape");
+    });
+  });
+
+  describe('shared registry', () => {
+    test('should share registrations between the CommonJS and ES module copies', () => {
+      class Base {
+        #prot = cjs.share(this, Base, {
+          name: "base",
+          answer: cjs.readonly(42)
+        });
+      }
+
+      class Sub extends Base {
+        #prot = share(this, Sub, {
+          name: "sub"
+        });
+        getProt() { return this.#prot; }
+      }
+
+      const prot = new Sub().getProt();
+      expect(prot.$uper.name).toBe("base");
+      expect(prot.answer).toBe(42);
+      expect(() => { prot.answer = 0; }).toThrow(TypeError);
+      expect(describeShared(new Sub()).map(e => e.klass)).toEqual([Base, Sub]);
+    });
+
+    test('should honor wrappers and markers created by the other copy', () => {
+      const Shape = cjs.abstract(class Shape {
+        #prot = cjs.share(this, Shape, { area: cjs.abstract("Shape::area") });
+      });
+
+      const Square = lifecycle(class Square extends Shape {
+        #prot = share(this, Square, { area: () => 4 });
+      });
+
+      const Broken = lifecycle(class Broken extends Shape {
+        #prot = share(this, Broken, {});
+      });
+
+      expect(() => new Square()).not.toThrow();
+      expect(() => new Broken()).toThrow("Class Broken cannot be constructed without overriding abstract members: Shape::area");
+    });
+
+    test('should store the registry under a global symbol', () => {
+      const registry = globalThis[Symbol.for("cfprotected.registry")];
+      expect(typeof registry.version).toBe("number");
+      expect(Object.isFrozen(registry)).toBe(true);
+    });
+
+    describe('when another copy created the registry', () => {
+      const source = readFileSync(new URL("../index.js", import.meta.url), "utf8");
+      const { version } = globalThis[Symbol.for("cfprotected.registry")];
+
+      function load(registry) {
+        const context = vm.createContext({ module: { exports: {} } });
+        context.registry = registry;
+        vm.runInContext(`Object.defineProperty(globalThis, Symbol.for("cfprotected.registry"), { value: registry });`, context);
+        vm.runInContext(source, context);
+        return context.module.exports;
+      }
+
+      test('should keep existing entries and add the missing ones', () => {
+        const memos = new WeakMap();
+        const registry = Object.freeze({ version, entries: Object.assign(Object.create(null), { memos }) });
+        const copy = load(registry);
+        expect(typeof copy.share).toBe("function");
+        expect(registry.entries.memos).toBe(memos);
+        expect(Object.prototype.toString.call(registry.entries.watchers)).toBe("[object WeakMap]");
+      });
+
+      test('should throw when the registry has another layout version', () => {
+        const registry = Object.freeze({ version: version + 1, entries: Object.create(null) });
+        expect(() => load(registry)).toThrow(`The cfprotected registry has version ${version + 1}, but this copy of cfprotected requires version ${version}`);
+      });
+    });
+  });
+
   describe('define()', () => {
     class MyClass {}
 